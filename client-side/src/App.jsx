@@ -2,11 +2,39 @@ import React, { useState } from "react";
 import { AuthProvider, useAuth } from "./context/AuthContext";
 import Login from "./components/Login";
 import Register from "./components/Register";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import VerifyEmail from "./components/VerifyEmail";
 import Dashboard from "./pages/Dashboard";
+import Settings from "./pages/Settings";
+
+// Links sent by email open the app with ?resetToken=... or ?verifyToken=...
+const getUrlToken = (name) =>
+  new URLSearchParams(window.location.search).get(name);
+
+const clearUrlToken = () =>
+  window.history.replaceState(null, "", window.location.pathname);
+
+const getInitialAuthMode = () => {
+  if (getUrlToken("verifyToken")) return "verify";
+  if (getUrlToken("resetToken")) return "reset";
+  return "login";
+};
 
 function AppContent() {
-  const [isLoginMode, setIsLoginMode] = useState(true);
-  const { user, loading } = useAuth();
+  // login, register, forgot, reset or verify
+  const [authMode, setAuthMode] = useState(getInitialAuthMode);
+  // dashboard or settings, once signed in
+  const [page, setPage] = useState("dashboard");
+  const { user, loading, logout, updateUser } = useAuth();
+
+  // The link may be opened while signed in to the same account, links of an
+  // email change also switch its address
+  const handleEmailVerified = (verifiedUser) => {
+    if (user?.id === verifiedUser.id) {
+      updateUser({ ...verifiedUser, pendingEmail: null });
+    }
+  };
 
   if (loading) {
     return (
@@ -16,15 +44,56 @@ function AppContent() {
     );
   }
 
-  if (!user) {
-    return isLoginMode ? (
-      <Login onToggleMode={() => setIsLoginMode(false)} />
-    ) : (
-      <Register onToggleMode={() => setIsLoginMode(true)} />
+  if (authMode === "verify") {
+    return (
+      <VerifyEmail
+        token={getUrlToken("verifyToken")}
+        onVerified={handleEmailVerified}
+        onDone={() => {
+          clearUrlToken();
+          setAuthMode("login");
+        }}
+      />
     );
   }
 
-  return <Dashboard />;
+  if (authMode === "reset") {
+    return (
+      <ResetPassword
+        token={getUrlToken("resetToken")}
+        onDone={() => {
+          clearUrlToken();
+          setAuthMode("login");
+          // A reset ends every session, including this one
+          if (user) {
+            logout();
+          }
+        }}
+      />
+    );
+  }
+
+  if (!user) {
+    switch (authMode) {
+      case "register":
+        return <Register onToggleMode={() => setAuthMode("login")} />;
+      case "forgot":
+        return <ForgotPassword onBack={() => setAuthMode("login")} />;
+      default:
+        return (
+          <Login
+            onToggleMode={() => setAuthMode("register")}
+            onForgotPassword={() => setAuthMode("forgot")}
+          />
+        );
+    }
+  }
+
+  if (page === "settings") {
+    return <Settings onBack={() => setPage("dashboard")} />;
+  }
+
+  return <Dashboard onOpenSettings={() => setPage("settings")} />;
 }
 
 function App() {
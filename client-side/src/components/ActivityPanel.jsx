@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from "react";
+import { taskListAPI } from "../services/api";
+
+const PAGE_SIZE = 20;
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  in_progress: "In Progress",
+  completed: "Completed",
+};
+
+const FIELD_LABELS = {
+  title: "title",
+  description: "description",
+  status: "status",
+  priority: "priority",
+  startDate: "start date",
+  dueDate: "due date",
+  recurrence: "recurrence",
+  labels: "labels",
+  assignees: "assignees",
+};
+
+const describeActivity = (activity) => {
+  const title = activity.entityTitle;
+  const changes = activity.changes || {};
+
+  switch (activity.action) {
+    case "task.created":
+      return `created task "${title}"`;
+    case "task.deleted":
+      return `deleted task "${title}"`;
+    case "task.restored":
+      return `restored task "${title}" from the trash`;
+    case "task.recurred":
+      return `scheduled the next occurrence of "${title}"`;
+    case "task.moved":
+      return `moved "${title}" from "${changes.taskList?.from}" to "${changes.taskList?.to}"`;
+    case "task.reordered":
+      return `reordered task "${title}"`;
+    case "task.status_changed":
+      return `moved "${title}" from ${
+        STATUS_LABELS[changes.status?.from] || changes.status?.from
+      } to ${STATUS_LABELS[changes.status?.to] || changes.status?.to}`;
+    case "task.updated":
+      return `updated ${Object.keys(changes)
+        .map((field) => FIELD_LABELS[field] || field)
+        .join(", ")} of "${title}"`;
+    case "attachment.added":
+      return `attached "${title}"`;
+    case "attachment.deleted":
+      return `removed the attachment "${title}"`;
+    case "task_list.created":
+      return `created the list "${title}"`;
+    case "task_list.updated":
+      return `renamed the list from "${changes.title?.from}" to "${changes.title?.to}"`;
+    case "task_list.archived":
+      return "archived the list";
+    case "task_list.unarchived":
+      return "unarchived the list";
+    case "task_list.deleted":
+      return "moved the list to the trash";
+    case "task_list.restored":
+      return "restored the list from the trash";
+    case "task_list.transferred":
+      return `handed the list over to ${title}`;
+    case "share.created":
+      return `shared the list with ${title} (${changes.permission?.to})`;
+    case "share.updated":
+      return `changed ${title}'s permission from ${changes.permission?.from} to ${changes.permission?.to}`;
+    case "share.deleted":
+      return `removed ${title}'s access`;
+    default:
+      return activity.action;
+  }
+};
+
+const ActivityPanel = ({ taskListId, refreshKey }) => {
+  const [activities, setActivities] = useState([]);
+  const [pagination, setPagination] = useState(null);
+
+  useEffect(() => {
+    taskListAPI
+      .getActivity(taskListId, { page: 1, limit: PAGE_SIZE })
+      .then((response) => {
+        setActivities(response.data.activities || []);
+        setPagination(response.data.pagination);
+      })
+      .catch((error) => {
+        console.error("Error fetching activity:", error);
+      });
+  }, [taskListId, refreshKey]);
+
+  const handleLoadMore = async () => {
+    try {
+      const response = await taskListAPI.getActivity(taskListId, {
+        page: pagination.page + 1,
+        limit: PAGE_SIZE,
+      });
+      setActivities([...activities, ...(response.data.activities || [])]);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error("Error fetching activity:", error);
+    }
+  };
+
+  return (
+    <div className="activity-panel">
+      <h3 className="activity-title">Activity</h3>
+      {activities.length === 0 ? (
+        <p className="activity-empty">No activity yet</p>
+      ) : (
+        <ul className="activity-list">
+          {activities.map((activity) => (
+            <li key={activity.id} className="activity-item">
+              <span className="activity-actor">
+                {activity.actor?.email || "Deleted user"}
+              </span>{" "}
+              {describeActivity(activity)}
+              <span className="activity-date">
+                {new Date(activity.createdAt).toLocaleString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {pagination && pagination.page < pagination.totalPages && (
+        <button onClick={handleLoadMore} className="activity-more">
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActivityPanel;
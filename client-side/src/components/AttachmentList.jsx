@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useRef } from "react";
+import { attachmentAPI } from "../services/api";
+
+// Human readable file size, e.g. 1.2 MB
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const AttachmentList = ({ taskListId, taskId, canEdit }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    attachmentAPI
+      .getAll(taskListId, taskId)
+      .then((response) => {
+        setAttachments(response.data.attachments || []);
+      })
+      .catch((error) => {
+        console.error("Error fetching attachments:", error);
+      });
+  }, [taskListId, taskId]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError("");
+    setUploading(true);
+
+    try {
+      const response = await attachmentAPI.upload(taskListId, taskId, file);
+      setAttachments([...attachments, response.data.attachment]);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to upload attachment");
+    } finally {
+      setUploading(false);
+      fileInput.current.value = "";
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    setError("");
+
+    try {
+      const response = await attachmentAPI.download(
+        taskListId,
+        taskId,
+        attachment.id
+      );
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error downloading attachment:", error);
+      setError("Failed to download attachment");
+    }
+  };
+
+  const handleDelete = async (attachmentId) => {
+    if (window.confirm("Are you sure you want to delete this attachment?")) {
+      try {
+        await attachmentAPI.delete(taskListId, taskId, attachmentId);
+        setAttachments(
+          attachments.filter((attachment) => attachment.id !== attachmentId)
+        );
+      } catch (error) {
+        setError(error.response?.data?.error || "Failed to delete attachment");
+      }
+    }
+  };
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Attachments ({attachments.length})</label>
+      {error && <div className="error-message">{error}</div>}
+
+      {attachments.length > 0 && (
+        <ul className="attachment-list">
+          {attachments.map((attachment) => (
+            <li key={attachment.id} className="attachment-item">
+              <button
+                type="button"
+                onClick={() => handleDownload(attachment)}
+                className="btn-link attachment-name"
+                title="Download"
+              >
+                📎 {attachment.fileName}
+              </button>
+              <span className="attachment-meta">
+                {formatSize(attachment.size)}
+                {attachment.uploader && ` · ${attachment.uploader.email}`}
+              </span>
+              {canEdit && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(attachment.id)}
+                  className="checklist-remove"
+                  title="Delete attachment"
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <div className="attachment-upload">
+          <input
+            ref={fileInput}
+            type="file"
+            onChange={handleUpload}
+            disabled={uploading}
+            className="attachment-input"
+          />
+          {uploading && <span className="attachment-meta">Uploading...</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
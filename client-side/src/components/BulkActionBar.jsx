@@ -0,0 +1,96 @@
+import React from "react";
+
+const BulkActionBar = ({
+  count,
+  allSelected,
+  moveTargets,
+  onToggleAll,
+  onApply,
+  onClear,
+}) => {
+  // Selects reset to their placeholder once an action was picked
+  const handleSelect = (e, buildOperation) => {
+    const value = e.target.value;
+    e.target.value = "";
+    if (value) {
+      onApply(buildOperation(value));
+    }
+  };
+
+  return (
+    <div className="bulk-bar">
+      <label className="filter-toggle">
+        <input type="checkbox" checked={allSelected} onChange={onToggleAll} />
+        {count} selected
+      </label>
+
+      <select
+        defaultValue=""
+        onChange={(e) =>
+          handleSelect(e, (status) => ({ action: "status", status }))
+        }
+        className="filter-select"
+      >
+        <option value="" disabled>
+          Set status…
+        </option>
+        <option value="pending">Pending</option>
+        <option value="in_progress">In Progress</option>
+        <option value="completed">Completed</option>
+      </select>
+
+      <select
+        defaultValue=""
+        onChange={(e) =>
+          handleSelect(e, (priority) => ({
+            action: "update",
+            fields: { priority },
+          }))
+        }
+        className="filter-select"
+      >
+        <option value="" disabled>
+          Set priority…
+        </option>
+        <option value="low">Low</option>
+        <option value="medium">Medium</option>
+        <option value="high">High</option>
+        <option value="urgent">Urgent</option>
+      </select>
+
+      {moveTargets.length > 0 && (
+        <select
+          defaultValue=""
+          onChange={(e) =>
+            handleSelect(e, (targetTaskListId) => ({
+              action: "move",
+              targetTaskListId,
+            }))
+          }
+          className="filter-select"
+        >
+          <option value="" disabled>
+            Move to…
+          </option>
+          {moveTargets.map((list) => (
+            <option key={list.id} value={list.id}>
+              {list.title}
+            </option>
+          ))}
+        </select>
+      )}
+
+      <button
+        onClick={() => onApply({ action: "delete" })}
+        className="btn-bulk-delete"
+      >
+        🗑️ Delete
+      </button>
+      <button onClick={onClear} className="btn-clear-filters">
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
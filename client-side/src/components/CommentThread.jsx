@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from "react";
+import { commentAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+
+const PAGE_SIZE = 10;
+
+const CommentThread = ({ taskListId, taskId, isOwner }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [body, setBody] = useState("");
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyBody, setReplyBody] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    commentAPI
+      .getAll(taskListId, taskId, { page: 1, limit: PAGE_SIZE })
+      .then((response) => {
+        setComments(response.data.comments || []);
+        setPagination(response.data.pagination);
+      })
+      .catch((error) => {
+        console.error("Error fetching comments:", error);
+      });
+  }, [taskListId, taskId]);
+
+  const handleLoadMore = async () => {
+    try {
+      const response = await commentAPI.getAll(taskListId, taskId, {
+        page: pagination.page + 1,
+        limit: PAGE_SIZE,
+      });
+      setComments([...comments, ...(response.data.comments || [])]);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to load comments");
+    }
+  };
+
+  const handleAdd = async (parentId) => {
+    const text = parentId ? replyBody : body;
+    if (!text.trim()) return;
+    setError("");
+
+    try {
+      const response = await commentAPI.create(taskListId, taskId, {
+        body: text,
+        parentId,
+      });
+      const comment = response.data.comment;
+
+      if (comment.parentId) {
+        setComments(
+          comments.map((c) =>
+            c.id === comment.parentId
+              ? { ...c, replies: [...c.replies, comment] }
+              : c
+          )
+        );
+        setReplyTo(null);
+        setReplyBody("");
+      } else {
+        setComments([...comments, { ...comment, replies: [] }]);
+        setPagination(
+          pagination && { ...pagination, total: pagination.total + 1 }
+        );
+        setBody("");
+      }
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to add comment");
+    }
+  };
+
+  // Apply a change to a comment wherever it sits in the thread
+  const updateInThread = (commentId, update) =>
+    comments
+      .filter((c) => !(c.id === commentId && update === null))
+      .map((c) => {
+        if (c.id === commentId) return { ...c, ...update };
+        return {
+          ...c,
+          replies: c.replies
+            .filter((r) => !(r.id === commentId && update === null))
+            .map((r) => (r.id === commentId ? { ...r, ...update } : r)),
+        };
+      });
+
+  const handleEdit = async (commentId) => {
+    if (!editBody.trim()) return;
+    setError("");
+
+    try {
+      const response = await commentAPI.update(
+        taskListId,
+        taskId,
+        commentId,
+        editBody
+      );
+      const { body, editedAt } = response.data.comment;
+      setComments(updateInThread(commentId, { body, editedAt }));
+      setEditingId(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to update comment");
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (window.confirm("Are you sure you want to delete this comment?")) {
+      try {
+        await commentAPI.delete(taskListId, taskId, commentId);
+        setComments(updateInThread(commentId, null));
+      } catch (error) {
+        setError(error.response?.data?.error || "Failed to delete comment");
+      }
+    }
+  };
+
+  const renderComment = (comment, isReply = false) => (
+    <div
+      key={comment.id}
+      className={`comment ${isReply ? "comment-reply" : ""}`}
+    >
+      <div className="comment-header">
+        <span className="comment-author">
+          {comment.author?.email || "Deleted user"}
+        </span>
+        <span className="comment-date">
+          {new Date(comment.createdAt).toLocaleString()}
+          {comment.editedAt && " (edited)"}
+        </span>
+      </div>
+
+      {editingId === comment.id ? (
+        <div className="comment-form">
+          <textarea
+            value={editBody}
+            onChange={(e) => setEditBody(e.target.value)}
+            className="form-textarea"
+            rows="2"
+          />
+          <div className="comment-form-actions">
+            <button
+              type="button"
+              onClick={() => setEditingId(null)}
+              className="btn-link"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => handleEdit(comment.id)}
+              className="btn-link"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="comment-body">{comment.body}</p>
+      )}
+
+      <div className="comment-actions">
+        {!isReply && (
+          <button
+            type="button"
+            onClick={() => setReplyTo(comment.id)}
+            className="btn-link"
+          >
+            Reply
+          </button>
+        )}
+        {comment.authorId === user?.id && (
+          <button
+            type="button"
+            onClick={() => {
+              setEditingId(comment.id);
+              setEditBody(comment.body);
+            }}
+            className="btn-link"
+          >
+            Edit
+          </button>
+        )}
+        {(comment.authorId === user?.id || isOwner) && (
+          <button
+            type="button"
+            onClick={() => handleDelete(comment.id)}
+            className="btn-link danger"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+
+      {comment.replies?.map((reply) => renderComment(reply, true))}
+
+      {replyTo === comment.id && (
+        <div className="comment-form comment-reply">
+          <textarea
+            value={replyBody}
+            onChange={(e) => setReplyBody(e.target.value)}
+            className="form-textarea"
+            placeholder="Write a reply"
+            rows="2"
+          />
+          <div className="comment-form-actions">
+            <button
+              type="button"
+              onClick={() => {
+                setReplyTo(null);
+                setReplyBody("");
+              }}
+              className="btn-link"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => handleAdd(comment.id)}
+              className="btn-link"
+            >
+              Reply
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="comments">
+      <h3 className="comments-title">
+        Comments ({pagination?.total ?? comments.length})
+      </h3>
+      {error && <div className="error-message">{error}</div>}
+
+      {comments.length === 0 ? (
+        <p className="comments-empty">No comments yet</p>
+      ) : (
+        comments.map((comment) => renderComment(comment))
+      )}
+
+      {pagination && pagination.page < pagination.totalPages && (
+        <button type="button" onClick={handleLoadMore} className="btn-link">
+          Load more comments
+        </button>
+      )}
+
+      <div className="comment-form">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          className="form-textarea"
+          placeholder="Write a comment"
+          rows="2"
+        />
+        <div className="comment-form-actions">
+          <button
+            type="button"
+            onClick={() => handleAdd(null)}
+            className="btn-secondary"
+          >
+            Comment
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommentThread;
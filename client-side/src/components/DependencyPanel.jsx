@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from "react";
+import { dependencyAPI, taskAPI } from "../services/api";
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  in_progress: "In Progress",
+  completed: "Completed",
+};
+
+const DependencyPanel = ({ taskListId, taskId, taskLists = [] }) => {
+  const [blockedBy, setBlockedBy] = useState([]);
+  const [blocking, setBlocking] = useState([]);
+  const [pickerListId, setPickerListId] = useState(taskListId);
+  const [candidates, setCandidates] = useState([]);
+  const [blockerId, setBlockerId] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    dependencyAPI
+      .getAll(taskListId, taskId)
+      .then((response) => {
+        setBlockedBy(response.data.blockedBy || []);
+        setBlocking(response.data.blocking || []);
+      })
+      .catch((error) => {
+        console.error("Error fetching dependencies:", error);
+      });
+  }, [taskListId, taskId]);
+
+  useEffect(() => {
+    taskAPI
+      .getAll(pickerListId)
+      .then((response) => {
+        setCandidates(response.data.tasks || []);
+      })
+      .catch((error) => {
+        console.error("Error fetching tasks:", error);
+      });
+  }, [pickerListId]);
+
+  const handleAdd = async () => {
+    if (!blockerId) return;
+    setError("");
+
+    try {
+      const response = await dependencyAPI.add(taskListId, taskId, blockerId);
+      setBlockedBy([
+        ...blockedBy,
+        { ...response.data.dependency.blocker, isAccessible: true },
+      ]);
+      setBlockerId("");
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to add dependency");
+    }
+  };
+
+  const handleRemove = async (id) => {
+    setError("");
+
+    try {
+      await dependencyAPI.remove(taskListId, taskId, id);
+      setBlockedBy(blockedBy.filter((blocker) => blocker.id !== id));
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to remove dependency");
+    }
+  };
+
+  const renderTask = (linkedTask) => (
+    <>
+      <span
+        className={`dependency-status ${
+          linkedTask.status === "completed" ? "done" : ""
+        }`}
+      >
+        {STATUS_LABELS[linkedTask.status]}
+      </span>
+      <span className="dependency-title">
+        {linkedTask.isAccessible ? linkedTask.title : "Task in another list"}
+      </span>
+      {linkedTask.isAccessible && linkedTask.taskListId !== taskListId && (
+        <span className="dependency-list">{linkedTask.taskList?.title}</span>
+      )}
+    </>
+  );
+
+  const available = candidates.filter(
+    (candidate) =>
+      candidate.id !== taskId &&
+      !blockedBy.some((blocker) => blocker.id === candidate.id)
+  );
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Blocked by</label>
+      {error && <div className="error-message">{error}</div>}
+      {blockedBy.length === 0 ? (
+        <p className="dependency-empty">Not blocked by any task</p>
+      ) : (
+        <ul className="dependency-list-items">
+          {blockedBy.map((blocker) => (
+            <li key={blocker.id} className="dependency-item">
+              {renderTask(blocker)}
+              <button
+                type="button"
+                onClick={() => handleRemove(blocker.id)}
+                className="checklist-remove"
+                title="Remove dependency"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="dependency-add">
+        {taskLists.length > 1 && (
+          <select
+            value={pickerListId}
+            onChange={(e) => {
+              setPickerListId(e.target.value);
+              setBlockerId("");
+            }}
+            className="form-input"
+          >
+            {taskLists.map((taskList) => (
+              <option key={taskList.id} value={taskList.id}>
+                {taskList.title}
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          value={blockerId}
+          onChange={(e) => setBlockerId(e.target.value)}
+          className="form-input"
+        >
+          <option value="">Select a blocking task</option>
+          {available.map((candidate) => (
+            <option key={candidate.id} value={candidate.id}>
+              {candidate.title}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={handleAdd} className="btn-secondary">
+          Add
+        </button>
+      </div>
+
+      {blocking.length > 0 && (
+        <>
+          <label className="form-label dependency-blocking-label">
+            Blocking
+          </label>
+          <ul className="dependency-list-items">
+            {blocking.map((blockedTask) => (
+              <li key={blockedTask.id} className="dependency-item">
+                {renderTask(blockedTask)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DependencyPanel;
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import "../styles/modal.css";
+
+const DuplicateListModal = ({ taskList, onClose, onSave }) => {
+  const [title, setTitle] = useState(`Copy of ${taskList.title}`);
+  const [resetStatuses, setResetStatuses] = useState(false);
+  const [copyShares, setCopyShares] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      await onSave({ title: title.trim(), resetStatuses, copyShares });
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          "Failed to duplicate task list"
+      );
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <h2 className="modal-title">Duplicate Task List</h2>
+        {error && <div className="error-message">{error}</div>}
+        <form onSubmit={handleSubmit} className="modal-form">
+          <div className="form-group">
+            <label className="form-label">Title</label>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="form-input"
+              maxLength={200}
+              required
+            />
+          </div>
+
+          <label className="filter-toggle">
+            <input
+              type="checkbox"
+              checked={resetStatuses}
+              onChange={(e) => setResetStatuses(e.target.checked)}
+            />
+            Reset every task and checklist item to pending
+          </label>
+
+          {taskList.isOwner && taskList.shareCount > 0 && (
+            <label className="filter-toggle">
+              <input
+                type="checkbox"
+                checked={copyShares}
+                onChange={(e) => setCopyShares(e.target.checked)}
+              />
+              Share the copy with the same {taskList.shareCount}{" "}
+              {taskList.shareCount === 1 ? "user" : "users"}
+            </label>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              Duplicate
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateListModal;
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { authAPI } from "../services/api";
+import "../styles/auth.css";
+
+const ForgotPassword = ({ onBack }) => {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          "Failed to request a password reset"
+      );
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div>
+          <h2 className="auth-title">Reset your password</h2>
+          <p className="auth-subtitle">
+            We'll email you a link to choose a new password
+          </p>
+        </div>
+        <form className="auth-form" onSubmit={handleSubmit}>
+          {error && <div className="error-message">{error}</div>}
+          {message ? (
+            <div className="success-message">{message}</div>
+          ) : (
+            <>
+              <div className="form-group">
+                <label htmlFor="email" className="form-label">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="form-input"
+                  placeholder="Enter your email"
+                />
+              </div>
+
+              <div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn-primary"
+                >
+                  {loading ? "Sending..." : "Send reset link"}
+                </button>
+              </div>
+            </>
+          )}
+
+          <div className="auth-toggle">
+            <button type="button" onClick={onBack}>
+              Back to sign in
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import { labelAPI } from "../services/api";
+import "../styles/modal.css";
+
+const DEFAULT_COLOR = "#6366f1";
+
+const LabelModal = ({ taskList, labels, onClose, onChange }) => {
+  const [name, setName] = useState("");
+  const [color, setColor] = useState(DEFAULT_COLOR);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      await labelAPI.create(taskList.id, { name, color });
+      setName("");
+      setColor(DEFAULT_COLOR);
+      onChange();
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to create label");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpdate = async (labelId, data) => {
+    try {
+      await labelAPI.update(taskList.id, labelId, data);
+      onChange();
+    } catch (error) {
+      alert(error.response?.data?.error || "Failed to update label");
+    }
+  };
+
+  const handleDelete = async (labelId) => {
+    if (
+      window.confirm(
+        "Are you sure you want to delete this label? It will be removed from all tasks."
+      )
+    ) {
+      try {
+        await labelAPI.delete(taskList.id, labelId);
+        onChange();
+      } catch (error) {
+        alert(error.response?.data?.error || "Failed to delete label");
+      }
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content modal-wide">
+        <div className="modal-header">
+          <h2 className="modal-title">Labels for "{taskList.title}"</h2>
+          <button onClick={onClose} className="modal-close">
+            ×
+          </button>
+        </div>
+
+        {/* Create Label Form */}
+        <form onSubmit={handleCreate} className="share-form">
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="share-form-row">
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => setColor(e.target.value)}
+              className="label-color-input"
+              title="Label color"
+            />
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="form-input"
+              placeholder="Label name (e.g. bug, chore, blocked)"
+              maxLength={50}
+              required
+            />
+            <button type="submit" disabled={loading} className="btn-primary">
+              {loading ? "Adding..." : "Add"}
+            </button>
+          </div>
+        </form>
+
+        {/* Labels List */}
+        <div>
+          <h3 className="shares-list-title">Labels ({labels.length})</h3>
+          {labels.length === 0 ? (
+            <p className="empty-state">No labels yet</p>
+          ) : (
+            <div className="shares-list">
+              {labels.map((label) => (
+                <div key={label.id} className="share-item">
+                  <div className="label-edit-row">
+                    <input
+                      type="color"
+                      defaultValue={label.color}
+                      onBlur={(e) => {
+                        if (e.target.value !== label.color) {
+                          handleUpdate(label.id, { color: e.target.value });
+                        }
+                      }}
+                      className="label-color-input"
+                      title="Label color"
+                    />
+                    <input
+                      type="text"
+                      defaultValue={label.name}
+                      onBlur={(e) => {
+                        const value = e.target.value.trim();
+                        if (value && value !== label.name) {
+                          handleUpdate(label.id, { name: value });
+                        }
+                      }}
+                      className="form-input"
+                      maxLength={50}
+                    />
+                    <span className="share-date">
+                      {label._count?.tasks || 0} tasks
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(label.id)}
+                    className="btn-remove-access"
+                    title="Delete label"
+                  >
+                    🗑️
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LabelModal;
@@ -1,28 +1,73 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
+import { authAPI } from "../services/api";
 import "../styles/auth.css";
 
-const Login = ({ onToggleMode }) => {
+// e.g. 75 -> "1:15"
+const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+const Login = ({ onToggleMode, onForgotPassword }) => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [verificationRequired, setVerificationRequired] = useState(false);
   const [loading, setLoading] = useState(false);
+  // Set while too many attempts keep the form from being sent
+  const [retryAt, setRetryAt] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
   const { login } = useAuth();
 
+  useEffect(() => {
+    if (!retryAt) return;
+
+    const timer = setInterval(() => {
+      const left = Math.ceil((retryAt - Date.now()) / 1000);
+      if (left > 0) {
+        setSecondsLeft(left);
+      } else {
+        setRetryAt(null);
+        setError("");
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
+    setMessage("");
     setLoading(true);
 
     const result = await login(email, password);
 
     if (!result.success) {
       setError(result.error);
+      setVerificationRequired(result.verificationRequired);
+      if (result.retryAfter) {
+        setRetryAt(Date.now() + result.retryAfter * 1000);
+        setSecondsLeft(result.retryAfter);
+      }
     }
 
     setLoading(false);
   };
 
+  const handleResendVerification = async () => {
+    setError("");
+    setMessage("");
+
+    try {
+      const response = await authAPI.resendVerification(email);
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(
+        error.response?.data?.error || "Failed to send the verification email"
+      );
+    }
+  };
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -32,6 +77,14 @@ const Login = ({ onToggleMode }) => {
         </div>
         <form className="auth-form" onSubmit={handleSubmit}>
           {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
+          {verificationRequired && (
+            <div className="auth-toggle">
+              <button type="button" onClick={handleResendVerification}>
+                Resend verification email
+              </button>
+            </div>
+          )}
           <div className="form-group">
             <label htmlFor="email" className="form-label">
               Email address
@@ -65,9 +118,23 @@ const Login = ({ onToggleMode }) => {
             />
           </div>
 
+          <div className="auth-toggle auth-forgot">
+            <button type="button" onClick={onForgotPassword}>
+              Forgot password?
+            </button>
+          </div>
+
           <div>
-            <button type="submit" disabled={loading} className="btn-primary">
-              {loading ? "Signing in..." : "Sign in"}
+            <button
+              type="submit"
+              disabled={loading || Boolean(retryAt)}
+              className="btn-primary"
+            >
+              {loading
+                ? "Signing in..."
+                : retryAt
+                  ? `Try again in ${formatCountdown(secondsLeft)}`
+                  : "Sign in"}
             </button>
           </div>
 
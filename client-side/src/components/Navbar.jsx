@@ -1,8 +1,9 @@
 import React from "react";
 import { useAuth } from "../context/AuthContext";
+import SearchBox from "./SearchBox";
 import "../styles/navbar.css";
 
-const Navbar = () => {
+const Navbar = ({ onSearchSelect, onOpenSettings }) => {
   const { user, logout } = useAuth();
 
   return (
@@ -12,8 +13,14 @@ const Navbar = () => {
           <div className="navbar-brand">
             <h1 className="navbar-title">Task Manager</h1>
           </div>
+          <SearchBox onSelect={onSearchSelect} />
           <div className="navbar-actions">
-            <span className="navbar-user">{user?.email}</span>
+            <span className="navbar-user">{user?.name || user?.email}</span>
+            {onOpenSettings && (
+              <button onClick={onOpenSettings} className="btn-settings">
+                Settings
+              </button>
+            )}
             <button onClick={logout} className="btn-logout">
               Logout
             </button>
@@ -7,6 +7,7 @@ const Register = ({ onToggleMode }) => {
   const [password, setPassword] = useState("");
   const [confirmPassword, setConfirmPassword] = useState("");
   const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
   const [loading, setLoading] = useState(false);
   const { register } = useAuth();
 
@@ -29,6 +30,8 @@ const Register = ({ onToggleMode }) => {
 
     if (!result.success) {
       setError(result.error);
+    } else if (result.verificationRequired) {
+      setMessage(result.message);
     }
 
     setLoading(false);
@@ -43,6 +46,7 @@ const Register = ({ onToggleMode }) => {
         </div>
         <form className="auth-form" onSubmit={handleSubmit}>
           {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
           <div className="form-group">
             <label htmlFor="email" className="form-label">
               Email address
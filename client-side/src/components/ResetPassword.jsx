@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { authAPI } from "../services/api";
+import "../styles/auth.css";
+
+// Choose a new password with the token of a reset link
+const ResetPassword = ({ token, onDone }) => {
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    if (password.length < 6) {
+      setError("Password must be at least 6 characters long");
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, password);
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          "Failed to reset password"
+      );
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div>
+          <h2 className="auth-title">Choose a new password</h2>
+          <p className="auth-subtitle">
+            You will be signed out on every device
+          </p>
+        </div>
+        <form className="auth-form" onSubmit={handleSubmit}>
+          {error && <div className="error-message">{error}</div>}
+          {message ? (
+            <div className="success-message">{message}</div>
+          ) : (
+            <>
+              <div className="form-group">
+                <label htmlFor="password" className="form-label">
+                  New password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="form-input"
+                  placeholder="At least 6 characters"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="confirmPassword" className="form-label">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="form-input"
+                  placeholder="Repeat the new password"
+                />
+              </div>
+
+              <div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn-primary"
+                >
+                  {loading ? "Saving..." : "Reset password"}
+                </button>
+              </div>
+            </>
+          )}
+
+          <div className="auth-toggle">
+            <button type="button" onClick={onDone}>
+              Back to sign in
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from "react";
+import { searchAPI } from "../services/api";
+
+// Render highlighted segments returned by the search API
+const Highlight = ({ segments }) =>
+  segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index}>{segment.text}</mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+
+const SearchBox = ({ onSelect }) => {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+
+  // Debounce typing so we don't search on every keystroke
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) return;
+
+    const timeout = setTimeout(() => {
+      setSearching(true);
+      searchAPI
+        .search(text, { limit: 10 })
+        .then((response) => {
+          setResults(response.data.results || []);
+          setOpen(true);
+        })
+        .catch((error) => {
+          console.error("Error searching:", error);
+        })
+        .finally(() => {
+          setSearching(false);
+        });
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    if (!e.target.value.trim()) {
+      setResults([]);
+      setOpen(false);
+    }
+  };
+
+  const handleSelect = (result) => {
+    setOpen(false);
+    setQuery("");
+    setResults([]);
+    onSelect?.(result);
+  };
+
+  return (
+    <div className="navbar-search">
+      <input
+        type="search"
+        value={query}
+        onChange={handleChange}
+        onFocus={() => results.length > 0 && setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={(e) => e.key === "Escape" && setOpen(false)}
+        placeholder="Search tasks and lists..."
+        className="search-input"
+      />
+
+      {open && (
+        <ul className="search-results">
+          {results.length === 0 && (
+            <li className="search-empty">
+              {searching ? "Searching..." : "No matches found"}
+            </li>
+          )}
+          {results.map((result) => (
+            <li key={`${result.type}-${result.id}`}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => handleSelect(result)}
+                className="search-result"
+              >
+                <span className="search-result-title">
+                  {result.type === "task" ? "📝" : "📋"}{" "}
+                  <Highlight segments={result.title} />
+                </span>
+                {result.snippet.length > 0 && (
+                  <span className="search-result-snippet">
+                    <Highlight segments={result.snippet} />
+                  </span>
+                )}
+                <span className="search-result-list">
+                  {result.type === "task"
+                    ? `in ${result.taskListTitle}`
+                    : "Task list"}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
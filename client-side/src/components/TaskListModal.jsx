@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from "react";
+import { templateAPI } from "../services/api";
 import "../styles/modal.css";
 
-const TaskListModal = ({ taskList, onClose, onSave }) => {
+const TaskListModal = ({ taskList, onClose, onSave, onEditTemplate }) => {
   const [title, setTitle] = useState("");
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
 
   useEffect(() => {
     if (taskList) {
@@ -10,12 +13,39 @@ const TaskListModal = ({ taskList, onClose, onSave }) => {
     }
   }, [taskList]);
 
+  // Templates are only offered when creating a list
+  useEffect(() => {
+    if (taskList) return;
+    templateAPI
+      .getAll()
+      .then((response) => setTemplates(response.data.templates || []))
+      .catch((error) => {
+        console.error("Error fetching templates:", error);
+      });
+  }, [taskList]);
+
+  const selectedTemplate = templates.find((t) => t.id === templateId);
+
+  const handleDeleteTemplate = async () => {
+    if (!window.confirm(`Delete the template "${selectedTemplate.name}"?`)) {
+      return;
+    }
+    try {
+      await templateAPI.delete(selectedTemplate.id);
+      setTemplates(templates.filter((t) => t.id !== selectedTemplate.id));
+      setTemplateId("");
+    } catch (error) {
+      console.error("Error deleting template:", error);
+      alert(error.response?.data?.error || "Failed to delete template");
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (taskList) {
       onSave(taskList.id, title);
     } else {
-      onSave(title);
+      onSave(title, templateId || null);
     }
   };
 
@@ -37,6 +67,59 @@ const TaskListModal = ({ taskList, onClose, onSave }) => {
               required
             />
           </div>
+          {!taskList && templates.length > 0 && (
+            <div className="form-group">
+              <label className="form-label">Start from</label>
+              <select
+                value={templateId}
+                onChange={(e) => setTemplateId(e.target.value)}
+                className="form-input"
+              >
+                <option value="">Blank list</option>
+                {templates.map((template) => (
+                  <option key={template.id} value={template.id}>
+                    {template.name} ({template.taskCount} tasks)
+                    {!template.isOwner &&
+                      ` · shared by ${template.owner.email}`}
+                  </option>
+                ))}
+              </select>
+              {selectedTemplate && (
+                <div className="template-details">
+                  {selectedTemplate.description && (
+                    <p className="view-hint">{selectedTemplate.description}</p>
+                  )}
+                  {selectedTemplate.isOwner && (
+                    <div className="template-actions">
+                      <span className="view-hint">
+                        {selectedTemplate.sharedWith.length > 0
+                          ? `Shared with ${selectedTemplate.sharedWith.length} ${
+                              selectedTemplate.sharedWith.length === 1
+                                ? "user"
+                                : "users"
+                            }`
+                          : "Private"}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => onEditTemplate(selectedTemplate)}
+                        className="btn-link"
+                      >
+                        Edit template
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleDeleteTemplate}
+                        className="btn-link danger"
+                      >
+                        Delete template
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
           <div className="modal-actions">
             <button type="button" onClick={onClose} className="btn-secondary">
               Cancel
@@ -1,25 +1,129 @@
 import React, { useState, useEffect } from "react";
+import { taskItemAPI } from "../services/api";
+import CommentThread from "./CommentThread";
+import DependencyPanel from "./DependencyPanel";
+import AttachmentList from "./AttachmentList";
 import "../styles/modal.css";
 
-const TaskModal = ({ task, onClose, onSave }) => {
+// Convert an ISO date string into the value format used by datetime-local inputs
+const toDateTimeInput = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const WEEKDAYS = [
+  { value: "MO", label: "Mon" },
+  { value: "TU", label: "Tue" },
+  { value: "WE", label: "Wed" },
+  { value: "TH", label: "Thu" },
+  { value: "FR", label: "Fri" },
+  { value: "SA", label: "Sat" },
+  { value: "SU", label: "Sun" },
+];
+
+const INTERVAL_UNITS = {
+  DAILY: "day(s)",
+  WEEKLY: "week(s)",
+  MONTHLY: "month(s)",
+};
+
+// Split an RRULE-style string (e.g. FREQ=WEEKLY;BYDAY=MO,TH) into form fields
+const parseRecurrence = (rule) => {
+  const parts = Object.fromEntries(
+    (rule || "")
+      .split(";")
+      .filter(Boolean)
+      .map((part) => part.split("="))
+  );
+  const until = parts.UNTIL?.slice(0, 8);
+
+  return {
+    freq: parts.FREQ || "",
+    interval: parts.INTERVAL || "1",
+    byDay: parts.BYDAY ? parts.BYDAY.split(",") : [],
+    // Set by the server on monthly tasks, kept so edits do not lose it
+    byMonthDay: parts.BYMONTHDAY || "",
+    until: until
+      ? `${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`
+      : "",
+  };
+};
+
+// Build an RRULE-style string from the form fields (null when not repeating)
+const buildRecurrence = ({ freq, interval, byDay, byMonthDay, until }) => {
+  if (!freq) return null;
+  const parts = [`FREQ=${freq}`];
+  if (Number(interval) > 1) parts.push(`INTERVAL=${Number(interval)}`);
+  if (freq === "WEEKLY" && byDay.length > 0) {
+    parts.push(`BYDAY=${byDay.join(",")}`);
+  }
+  if (freq === "MONTHLY" && byMonthDay) parts.push(`BYMONTHDAY=${byMonthDay}`);
+  if (until) parts.push(`UNTIL=${until.replaceAll("-", "")}`);
+  return parts.join(";");
+};
+
+const TaskModal = ({
+  task,
+  taskListId,
+  labels = [],
+  members = [],
+  taskLists = [],
+  canEdit = true,
+  isOwner = false,
+  onClose,
+  onSave,
+}) => {
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [status, setStatus] = useState("pending");
+  const [priority, setPriority] = useState("medium");
+  const [startDate, setStartDate] = useState("");
+  const [dueDate, setDueDate] = useState("");
+  const [error, setError] = useState("");
+  const [labelIds, setLabelIds] = useState(
+    task?.labels?.map((label) => label.id) || []
+  );
+  const [assigneeIds, setAssigneeIds] = useState(
+    task?.assignees?.map((assignee) => assignee.userId) || []
+  );
+  const [recurrence, setRecurrence] = useState(
+    parseRecurrence(task?.recurrence)
+  );
+  const [items, setItems] = useState(task?.items || []);
+  const [newItemTitle, setNewItemTitle] = useState("");
 
   useEffect(() => {
     if (task) {
       setTitle(task.title);
       setDescription(task.description || "");
       setStatus(task.status);
+      setPriority(task.priority || "medium");
+      setStartDate(toDateTimeInput(task.startDate));
+      setDueDate(toDateTimeInput(task.dueDate));
     }
   }, [task]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    setError("");
+
+    if (startDate && dueDate && new Date(startDate) > new Date(dueDate)) {
+      setError("Start date cannot be after the due date");
+      return;
+    }
+
     const taskData = {
       title,
       description: description || undefined,
       status,
+      priority,
+      startDate: startDate ? new Date(startDate).toISOString() : null,
+      dueDate: dueDate ? new Date(dueDate).toISOString() : null,
+      recurrence: buildRecurrence(recurrence),
+      labelIds,
+      assigneeIds,
     };
 
     if (task) {
@@ -29,56 +133,377 @@ const TaskModal = ({ task, onClose, onSave }) => {
     }
   };
 
+  const toggleLabel = (labelId) => {
+    setLabelIds(
+      labelIds.includes(labelId)
+        ? labelIds.filter((id) => id !== labelId)
+        : [...labelIds, labelId]
+    );
+  };
+
+  const toggleWeekday = (day) => {
+    setRecurrence({
+      ...recurrence,
+      byDay: recurrence.byDay.includes(day)
+        ? recurrence.byDay.filter((d) => d !== day)
+        : WEEKDAYS.map((d) => d.value).filter(
+            (d) => d === day || recurrence.byDay.includes(d)
+          ),
+    });
+  };
+
+  const toggleAssignee = (userId) => {
+    setAssigneeIds(
+      assigneeIds.includes(userId)
+        ? assigneeIds.filter((id) => id !== userId)
+        : [...assigneeIds, userId]
+    );
+  };
+
+  const handleAddItem = async () => {
+    if (!newItemTitle.trim()) return;
+    try {
+      const response = await taskItemAPI.create(taskListId, task.id, {
+        title: newItemTitle,
+      });
+      setItems([...items, response.data.item]);
+      setNewItemTitle("");
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to add checklist item");
+    }
+  };
+
+  const handleUpdateItem = async (itemId, data) => {
+    try {
+      const response = await taskItemAPI.update(
+        taskListId,
+        task.id,
+        itemId,
+        data
+      );
+      setItems(
+        items.map((item) => (item.id === itemId ? response.data.item : item))
+      );
+    } catch (error) {
+      setError(
+        error.response?.data?.error || "Failed to update checklist item"
+      );
+    }
+  };
+
+  const handleDeleteItem = async (itemId) => {
+    try {
+      await taskItemAPI.delete(taskListId, task.id, itemId);
+      setItems(items.filter((item) => item.id !== itemId));
+    } catch (error) {
+      setError(
+        error.response?.data?.error || "Failed to delete checklist item"
+      );
+    }
+  };
+
+  const completedItems = items.filter((item) => item.isCompleted).length;
+
   return (
     <div className="modal-overlay">
       <div className="modal-content">
-        <h2 className="modal-title">{task ? "Edit Task" : "Create Task"}</h2>
+        <h2 className="modal-title">
+          {!task ? "Create Task" : canEdit ? "Edit Task" : "Task Details"}
+        </h2>
         <form onSubmit={handleSubmit} className="modal-form">
-          <div className="form-group">
-            <label className="form-label">Title *</label>
-            <input
-              type="text"
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              className="form-input"
-              placeholder="Enter task title"
-              required
-            />
-          </div>
+          {error && <div className="error-message">{error}</div>}
+          <fieldset disabled={!canEdit} className="modal-fieldset">
+            <div className="form-group">
+              <label className="form-label">Title *</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="form-input"
+                placeholder="Enter task title"
+                required
+              />
+            </div>
 
-          <div className="form-group">
-            <label className="form-label">Description</label>
-            <textarea
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              className="form-textarea"
-              placeholder="Enter task description (optional)"
-              rows="3"
-            />
-          </div>
+            <div className="form-group">
+              <label className="form-label">Description</label>
+              <textarea
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                className="form-textarea"
+                placeholder="Enter task description (optional)"
+                rows="3"
+              />
+            </div>
 
-          <div className="form-group">
-            <label className="form-label">Status</label>
-            <select
-              value={status}
-              onChange={(e) => setStatus(e.target.value)}
-              className="form-input"
-            >
-              <option value="pending">Pending</option>
-              <option value="in_progress">In Progress</option>
-              <option value="completed">Completed</option>
-            </select>
-          </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Status</label>
+                <select
+                  value={status}
+                  onChange={(e) => setStatus(e.target.value)}
+                  className="form-input"
+                >
+                  <option value="pending">Pending</option>
+                  <option value="in_progress">In Progress</option>
+                  <option value="completed">Completed</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Priority</label>
+                <select
+                  value={priority}
+                  onChange={(e) => setPriority(e.target.value)}
+                  className="form-input"
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                  <option value="urgent">Urgent</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Start Date</label>
+                <input
+                  type="datetime-local"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Due Date</label>
+                <input
+                  type="datetime-local"
+                  value={dueDate}
+                  onChange={(e) => setDueDate(e.target.value)}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Repeat</label>
+              <div className="recurrence-row">
+                <select
+                  value={recurrence.freq}
+                  onChange={(e) =>
+                    setRecurrence({ ...recurrence, freq: e.target.value })
+                  }
+                  className="form-input"
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="DAILY">Daily</option>
+                  <option value="WEEKLY">Weekly</option>
+                  <option value="MONTHLY">Monthly</option>
+                </select>
+                {recurrence.freq && (
+                  <>
+                    <span>every</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="365"
+                      value={recurrence.interval}
+                      onChange={(e) =>
+                        setRecurrence({
+                          ...recurrence,
+                          interval: e.target.value,
+                        })
+                      }
+                      className="form-input recurrence-interval"
+                    />
+                    <span>{INTERVAL_UNITS[recurrence.freq]}</span>
+                  </>
+                )}
+              </div>
+              {recurrence.freq === "WEEKLY" && (
+                <div className="weekday-picker">
+                  {WEEKDAYS.map((day) => (
+                    <button
+                      key={day.value}
+                      type="button"
+                      onClick={() => toggleWeekday(day.value)}
+                      className={`weekday-option ${
+                        recurrence.byDay.includes(day.value) ? "selected" : ""
+                      }`}
+                    >
+                      {day.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {recurrence.freq && (
+                <div className="recurrence-row">
+                  <span>Ends on</span>
+                  <input
+                    type="date"
+                    value={recurrence.until}
+                    onChange={(e) =>
+                      setRecurrence({ ...recurrence, until: e.target.value })
+                    }
+                    className="form-input recurrence-until"
+                  />
+                </div>
+              )}
+              {recurrence.freq && (
+                <p className="recurrence-hint">
+                  Completing this task creates the next occurrence with the next
+                  due date.
+                </p>
+              )}
+            </div>
+
+            {members.length > 1 && (
+              <div className="form-group">
+                <label className="form-label">Assignees</label>
+                <div className="assignee-picker">
+                  {members.map((member) => (
+                    <label key={member.id} className="assignee-option">
+                      <input
+                        type="checkbox"
+                        checked={assigneeIds.includes(member.id)}
+                        onChange={() => toggleAssignee(member.id)}
+                      />
+                      <span>{member.email}</span>
+                      {member.permission === "owner" && (
+                        <span className="assignee-role">owner</span>
+                      )}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {labels.length > 0 && (
+              <div className="form-group">
+                <label className="form-label">Labels</label>
+                <div className="label-picker">
+                  {labels.map((label) => (
+                    <button
+                      key={label.id}
+                      type="button"
+                      onClick={() => toggleLabel(label.id)}
+                      className={`label-chip ${
+                        labelIds.includes(label.id) ? "selected" : ""
+                      }`}
+                      style={{ "--label-color": label.color }}
+                    >
+                      {label.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {task && (
+              <div className="form-group">
+                <label className="form-label">
+                  Checklist ({completedItems}/{items.length})
+                </label>
+                <div className="checklist">
+                  {items.map((item) => (
+                    <div key={item.id} className="checklist-item">
+                      <input
+                        type="checkbox"
+                        checked={item.isCompleted}
+                        onChange={() =>
+                          handleUpdateItem(item.id, {
+                            isCompleted: !item.isCompleted,
+                          })
+                        }
+                      />
+                      <input
+                        type="text"
+                        defaultValue={item.title}
+                        onBlur={(e) => {
+                          const value = e.target.value.trim();
+                          if (value && value !== item.title) {
+                            handleUpdateItem(item.id, { title: value });
+                          }
+                        }}
+                        className={`checklist-title ${
+                          item.isCompleted ? "completed" : ""
+                        }`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleDeleteItem(item.id)}
+                        className="checklist-remove"
+                        title="Remove item"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                  <div className="checklist-add">
+                    <input
+                      type="text"
+                      value={newItemTitle}
+                      onChange={(e) => setNewItemTitle(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") {
+                          e.preventDefault();
+                          handleAddItem();
+                        }
+                      }}
+                      className="form-input"
+                      placeholder="Add a checklist item"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleAddItem}
+                      className="btn-secondary"
+                    >
+                      Add
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {task && (
+              <DependencyPanel
+                taskListId={taskListId}
+                taskId={task.id}
+                taskLists={taskLists}
+              />
+            )}
+          </fieldset>
+
+          {/* Outside the fieldset so view-only users can still download */}
+          {task && (
+            <AttachmentList
+              taskListId={taskListId}
+              taskId={task.id}
+              canEdit={canEdit}
+            />
+          )}
 
           <div className="modal-actions">
             <button type="button" onClick={onClose} className="btn-secondary">
-              Cancel
-            </button>
-            <button type="submit" className="btn-primary">
-              {task ? "Update" : "Create"}
+              {canEdit ? "Cancel" : "Close"}
             </button>
+            {canEdit && (
+              <button type="submit" className="btn-primary">
+                {task ? "Update" : "Create"}
+              </button>
+            )}
           </div>
         </form>
+
+        {task && (
+          <CommentThread
+            taskListId={taskListId}
+            taskId={task.id}
+            isOwner={isOwner}
+          />
+        )}
       </div>
     </div>
   );
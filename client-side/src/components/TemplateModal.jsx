@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import "../styles/modal.css";
+
+// Save a task list as a template, or edit one the user owns
+const TemplateModal = ({ taskList, template, onClose, onSave }) => {
+  const [name, setName] = useState(template?.name || taskList?.title || "");
+  const [description, setDescription] = useState(template?.description || "");
+  const [sharedWith, setSharedWith] = useState(
+    template?.sharedWith?.map((user) => user.email).join(", ") || ""
+  );
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      await onSave({
+        name: name.trim(),
+        description: description.trim() || null,
+        sharedWith: sharedWith
+          .split(/[\s,]+/)
+          .map((email) => email.trim())
+          .filter(Boolean),
+      });
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          "Failed to save template"
+      );
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <h2 className="modal-title">
+          {template ? "Edit Template" : "Save as Template"}
+        </h2>
+        {error && <div className="error-message">{error}</div>}
+        <form onSubmit={handleSubmit} className="modal-form">
+          {!template && (
+            <p className="view-hint">
+              The tasks, checklists and labels of "{taskList.title}" are saved.
+              New lists start with every task pending.
+            </p>
+          )}
+
+          <div className="form-group">
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="form-input"
+              placeholder="e.g. Sprint checklist"
+              maxLength={100}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Description</label>
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="form-textarea"
+              placeholder="What is this template for?"
+              rows="3"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Share with</label>
+            <input
+              type="text"
+              value={sharedWith}
+              onChange={(e) => setSharedWith(e.target.value)}
+              className="form-input"
+              placeholder="Emails, separated by commas"
+            />
+            <p className="view-hint">
+              Leave empty to keep the template private
+            </p>
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              {template ? "Update" : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateModal;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { trashAPI } from "../services/api";
+
+const TrashPanel = ({ onRestore }) => {
+  const [trash, setTrash] = useState(null);
+
+  const fetchTrash = useCallback(() => {
+    trashAPI
+      .getAll()
+      .then((response) => setTrash(response.data))
+      .catch((error) => {
+        console.error("Error fetching trash:", error);
+      });
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const run = async (action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    try {
+      await action();
+      fetchTrash();
+    } catch (error) {
+      console.error("Error updating trash:", error);
+      alert(error.response?.data?.error || "Failed to update the trash");
+    }
+  };
+
+  if (!trash) {
+    return null;
+  }
+
+  if (trash.taskLists.length === 0 && trash.tasks.length === 0) {
+    return <p className="empty-state">The trash is empty.</p>;
+  }
+
+  const purgeNote = (item) =>
+    `Deleted ${new Date(item.deletedAt).toLocaleString()} · purged ${new Date(
+      item.purgeAt
+    ).toLocaleDateString()}`;
+
+  return (
+    <div className="trash">
+      <p className="main-subtitle">
+        Deleted items can be restored for {trash.retentionDays} days.
+      </p>
+
+      {trash.taskLists.length > 0 && (
+        <>
+          <h3 className="trash-heading">Task lists</h3>
+          {trash.taskLists.map((list) => (
+            <div key={list.id} className="trash-item">
+              <div>
+                <div className="task-title">📋 {list.title}</div>
+                <div className="task-date">
+                  {list.taskCount} tasks · {purgeNote(list)}
+                </div>
+              </div>
+              <div className="trash-actions">
+                <button
+                  onClick={() =>
+                    run(async () => {
+                      await trashAPI.restoreTaskList(list.id);
+                      onRestore();
+                    })
+                  }
+                  className="btn-secondary"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() =>
+                    run(
+                      () => trashAPI.deleteTaskList(list.id),
+                      `Permanently delete "${list.title}" and all its tasks? This cannot be undone.`
+                    )
+                  }
+                  className="btn-bulk-delete"
+                >
+                  Delete forever
+                </button>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+
+      {trash.tasks.length > 0 && (
+        <>
+          <h3 className="trash-heading">Tasks</h3>
+          {trash.tasks.map((task) => (
+            <div key={task.id} className="trash-item">
+              <div>
+                <div className="task-title">{task.title}</div>
+                <div className="task-date">
+                  <span className="task-list-name">
+                    📋 {task.taskList.title}
+                  </span>{" "}
+                  {purgeNote(task)}
+                </div>
+              </div>
+              <div className="trash-actions">
+                <button
+                  onClick={() =>
+                    run(async () => {
+                      await trashAPI.restoreTask(task.id);
+                      onRestore();
+                    })
+                  }
+                  className="btn-secondary"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() =>
+                    run(
+                      () => trashAPI.deleteTask(task.id),
+                      `Permanently delete "${task.title}"? This cannot be undone.`
+                    )
+                  }
+                  className="btn-bulk-delete"
+                >
+                  Delete forever
+                </button>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TrashPanel;
@@ -0,0 +1,30 @@
+import React, { useEffect } from "react";
+
+// Offers to undo the last change until its undo token expires
+const UndoSnackbar = ({ undo, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timeout = setTimeout(
+      onDismiss,
+      Math.max(0, new Date(undo.expiresAt).getTime() - Date.now())
+    );
+    return () => clearTimeout(timeout);
+  }, [undo, onDismiss]);
+
+  return (
+    <div className="undo-snackbar" role="status">
+      <span>{undo.message}</span>
+      <button onClick={onUndo} className="btn-undo">
+        Undo
+      </button>
+      <button
+        onClick={onDismiss}
+        className="btn-undo-dismiss"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UndoSnackbar;
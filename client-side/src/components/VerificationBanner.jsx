@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { authAPI } from "../services/api";
+
+// Reminds users who have not verified their email that others cannot share with them yet
+const VerificationBanner = () => {
+  const { user } = useAuth();
+  const [message, setMessage] = useState("");
+  const [sending, setSending] = useState(false);
+
+  // Users stored before verification existed have no emailVerifiedAt at all
+  if (!user || user.emailVerifiedAt !== null) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authAPI.resendVerification(user.email);
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error || "Failed to send the verification email"
+      );
+    }
+    setSending(false);
+  };
+
+  return (
+    <div className="verification-banner">
+      <span>
+        {message ||
+          `Please verify ${user.email} using the link we emailed you, until then lists cannot be shared with you.`}
+      </span>
+      {!message && (
+        <button onClick={handleResend} disabled={sending}>
+          {sending ? "Sending..." : "Resend email"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VerificationBanner;
@@ -0,0 +1,53 @@
+import React, { useState, useEffect, useRef } from "react";
+import { authAPI } from "../services/api";
+import "../styles/auth.css";
+
+// Verify an email address with the token of a verification link
+const VerifyEmail = ({ token, onVerified, onDone }) => {
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  // Tokens work once, so the request must not be sent twice
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    authAPI
+      .verifyEmail(token)
+      .then((response) => {
+        setMessage(response.data.message);
+        onVerified(response.data.user);
+      })
+      .catch((error) => {
+        setError(
+          error.response?.data?.error || "Failed to verify email address"
+        );
+      });
+  }, [token, onVerified]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div>
+          <h2 className="auth-title">Verify your email address</h2>
+          <p className="auth-subtitle">
+            {message || error ? "" : "Verifying..."}
+          </p>
+        </div>
+        <div className="auth-form">
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
+
+          <div className="auth-toggle">
+            <button type="button" onClick={onDone}>
+              Continue
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
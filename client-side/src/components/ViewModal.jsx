@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import "../styles/modal.css";
+
+const STATUSES = [
+  { value: "pending", label: "Pending" },
+  { value: "in_progress", label: "In Progress" },
+  { value: "completed", label: "Completed" },
+];
+
+// Relative date ranges understood by the views API
+const DATE_RANGES = [
+  { value: "", label: "Any time" },
+  { value: "today", label: "Today" },
+  { value: "7d", label: "In the last 7 days" },
+  { value: "30d", label: "In the last 30 days" },
+];
+
+// Starting points offered when creating a view
+const PRESETS = [
+  {
+    name: "My open tasks",
+    filters: { status: ["pending", "in_progress"], assignee: "me" },
+  },
+  { name: "Updated today", filters: { updatedAfter: "today" } },
+];
+
+const ViewModal = ({ view, taskLists, onClose, onSave }) => {
+  const [name, setName] = useState(view?.name || "");
+  const [filters, setFilters] = useState(view?.filters || {});
+  const [error, setError] = useState("");
+
+  // Add or remove a value of a list filter (status, taskListIds)
+  const toggle = (key, value) => {
+    const current = filters[key] || [];
+    setFilters({
+      ...filters,
+      [key]: current.includes(value)
+        ? current.filter((item) => item !== value)
+        : [...current, value],
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      await onSave({ name: name.trim(), filters });
+    } catch (error) {
+      setError(
+        error.response?.data?.error ||
+          error.response?.data?.errors?.[0]?.msg ||
+          "Failed to save view"
+      );
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <h2 className="modal-title">{view ? "Edit View" : "Create View"}</h2>
+        {error && <div className="error-message">{error}</div>}
+        <form onSubmit={handleSubmit} className="modal-form">
+          {!view && (
+            <div className="form-group">
+              <label className="form-label">Start from</label>
+              <div className="view-options">
+                {PRESETS.map((preset) => (
+                  <button
+                    key={preset.name}
+                    type="button"
+                    onClick={() => {
+                      setName(preset.name);
+                      setFilters(preset.filters);
+                    }}
+                    className="view-option"
+                  >
+                    {preset.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="form-input"
+              placeholder="e.g. My open tasks"
+              maxLength={100}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Status</label>
+            <div className="view-options">
+              {STATUSES.map((status) => (
+                <button
+                  key={status.value}
+                  type="button"
+                  onClick={() => toggle("status", status.value)}
+                  className={`view-option ${
+                    filters.status?.includes(status.value) ? "selected" : ""
+                  }`}
+                >
+                  {status.label}
+                </button>
+              ))}
+            </div>
+            <p className="view-hint">None selected matches every status</p>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Task lists</label>
+            <div className="view-options">
+              {taskLists.map((list) => (
+                <button
+                  key={list.id}
+                  type="button"
+                  onClick={() => toggle("taskListIds", list.id)}
+                  className={`view-option ${
+                    filters.taskListIds?.includes(list.id) ? "selected" : ""
+                  }`}
+                >
+                  {list.title}
+                </button>
+              ))}
+            </div>
+            <p className="view-hint">None selected searches every list</p>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Text</label>
+            <input
+              type="text"
+              value={filters.q || ""}
+              onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+              className="form-input"
+              placeholder="Matches titles and descriptions"
+            />
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Created</label>
+              <select
+                value={filters.createdAfter || ""}
+                onChange={(e) =>
+                  setFilters({ ...filters, createdAfter: e.target.value })
+                }
+                className="form-input"
+              >
+                {DATE_RANGES.map((range) => (
+                  <option key={range.value} value={range.value}>
+                    {range.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Updated</label>
+              <select
+                value={filters.updatedAfter || ""}
+                onChange={(e) =>
+                  setFilters({ ...filters, updatedAfter: e.target.value })
+                }
+                className="form-input"
+              >
+                {DATE_RANGES.map((range) => (
+                  <option key={range.value} value={range.value}>
+                    {range.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <label className="filter-toggle">
+            <input
+              type="checkbox"
+              checked={filters.assignee === "me"}
+              onChange={(e) =>
+                setFilters({
+                  ...filters,
+                  assignee: e.target.checked ? "me" : null,
+                })
+              }
+            />
+            Only tasks assigned to me
+          </label>
+
+          <div className="modal-actions">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              {view ? "Update" : "Create"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ViewModal;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef } from "react";
+import { viewAPI } from "../services/api";
+
+const PAGE_SIZE = 25;
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  in_progress: "In Progress",
+  completed: "Completed",
+};
+
+const PRIORITY_LABELS = {
+  low: "Low",
+  medium: "Medium",
+  high: "High",
+  urgent: "Urgent",
+};
+
+const ViewTaskList = ({ view, onOpenTask }) => {
+  const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const loadMoreRef = useRef(null);
+
+  // Reload from the first page whenever the view or its filters change
+  useEffect(() => {
+    viewAPI
+      .getTasks(view.id, { limit: PAGE_SIZE })
+      .then((response) => {
+        setTasks(response.data.tasks || []);
+        setNextCursor(response.data.nextCursor || null);
+        setLoaded(true);
+      })
+      .catch((error) => {
+        console.error("Error fetching view tasks:", error);
+      });
+  }, [view]);
+
+  // Load the next page once the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries[0].isIntersecting) return;
+      observer.disconnect();
+      viewAPI
+        .getTasks(view.id, { limit: PAGE_SIZE, cursor: nextCursor })
+        .then((response) => {
+          setTasks((current) => [...current, ...(response.data.tasks || [])]);
+          setNextCursor(response.data.nextCursor || null);
+        })
+        .catch((error) => {
+          console.error("Error fetching view tasks:", error);
+        });
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [view, nextCursor]);
+
+  if (loaded && tasks.length === 0) {
+    return <p className="empty-state">No tasks match this view.</p>;
+  }
+
+  return (
+    <div className="tasks-container">
+      {tasks.map((task) => (
+        <div
+          key={task.id}
+          className={`task-card view-task ${task.isOverdue ? "overdue" : ""}`}
+          onClick={() => onOpenTask(task)}
+          title="Open in its task list"
+        >
+          <div className="task-info">
+            <h3 className="task-title">{task.title}</h3>
+            <div className="task-meta">
+              <span className="task-list-name">📋 {task.taskList.title}</span>
+              <span className={`view-task-status status-${task.status}`}>
+                {STATUS_LABELS[task.status]}
+              </span>
+              <span
+                className={`priority-badge priority-${task.priority || "medium"}`}
+              >
+                {PRIORITY_LABELS[task.priority] || "Medium"}
+              </span>
+              {task.isBlocked && (
+                <span className="task-blocked">⛔ Blocked</span>
+              )}
+              {task.dueDate && (
+                <span className={`task-due ${task.isOverdue ? "overdue" : ""}`}>
+                  {task.isOverdue ? "Overdue" : "Due"}{" "}
+                  {new Date(task.dueDate).toLocaleString()}
+                </span>
+              )}
+              <span className="task-date">
+                Updated {new Date(task.updatedAt).toLocaleString()}
+              </span>
+            </div>
+          </div>
+        </div>
+      ))}
+      {nextCursor && (
+        <div ref={loadMoreRef} className="tasks-load-more">
+          Loading more tasks...
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ViewTaskList;
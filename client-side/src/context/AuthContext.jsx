@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
-import { authAPI } from "../services/api";
+import { authAPI, accountAPI, SESSION_ENDED_EVENT } from "../services/api";
 
 const AuthContext = createContext(null);
 
@@ -8,6 +8,32 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(localStorage.getItem("token"));
   const [loading, setLoading] = useState(true);
 
+  const storeSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem("token", token);
+    localStorage.setItem("refreshToken", refreshToken);
+    localStorage.setItem("user", JSON.stringify(user));
+
+    setToken(token);
+    setUser(user);
+  };
+
+  const clearSession = () => {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    localStorage.removeItem("user");
+    setToken(null);
+    setUser(null);
+  };
+
+  // Keep the stored user in sync after a profile change or an email verification
+  const updateUser = (changes) => {
+    setUser((current) => {
+      const updated = { ...current, ...changes };
+      localStorage.setItem("user", JSON.stringify(updated));
+      return updated;
+    });
+  };
+
   useEffect(() => {
     const storedToken = localStorage.getItem("token");
     const storedUser = localStorage.getItem("user");
@@ -15,26 +41,37 @@ export const AuthProvider = ({ children }) => {
     if (storedToken && storedUser) {
       setToken(storedToken);
       setUser(JSON.parse(storedUser));
+
+      // The stored copy may be outdated, e.g. after a change on another device
+      accountAPI
+        .get()
+        .then((response) => updateUser(response.data.user))
+        .catch((error) => console.error("Error fetching profile:", error));
     }
     setLoading(false);
   }, []);
 
+  // Forget the user once the API could not refresh the session
+  useEffect(() => {
+    window.addEventListener(SESSION_ENDED_EVENT, clearSession);
+    return () => window.removeEventListener(SESSION_ENDED_EVENT, clearSession);
+  }, []);
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
-      const { token, user } = response.data;
-
-      localStorage.setItem("token", token);
-      localStorage.setItem("user", JSON.stringify(user));
-
-      setToken(token);
-      setUser(user);
+      storeSession(response.data);
 
       return { success: true };
     } catch (error) {
       return {
         success: false,
         error: error.response?.data?.error || "Login failed",
+        verificationRequired: Boolean(
+          error.response?.data?.verificationRequired
+        ),
+        // Seconds to wait when rate limited or locked out
+        retryAfter: error.response?.data?.retryAfter || 0,
       };
     }
   };
@@ -42,13 +79,17 @@ export const AuthProvider = ({ children }) => {
   const register = async (email, password) => {
     try {
       const response = await authAPI.register(email, password);
-      const { token, user } = response.data;
 
-      localStorage.setItem("token", token);
-      localStorage.setItem("user", JSON.stringify(user));
+      // The account can only be used once its email is verified
+      if (response.data.verificationRequired) {
+        return {
+          success: true,
+          verificationRequired: true,
+          message: response.data.message,
+        };
+      }
 
-      setToken(token);
-      setUser(user);
+      storeSession(response.data);
 
       return { success: true };
     } catch (error) {
@@ -59,16 +100,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    setToken(null);
-    setUser(null);
+  // The account and its sessions are gone, only the local copy is left
+  const deleteAccount = async (password, transferTo) => {
+    await accountAPI.delete(password, transferTo);
+    clearSession();
+  };
+
+  // Revoke the session on the server, the user is logged out locally either way
+  const logout = async () => {
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error("Error logging out:", error);
+      }
+    }
+    clearSession();
   };
 
   return (
     <AuthContext.Provider
-      value={{ user, token, login, register, logout, loading }}
+      value={{
+        user,
+        token,
+        login,
+        register,
+        logout,
+        updateUser,
+        deleteAccount,
+        loading,
+      }}
     >
       {children}
     </AuthContext.Provider>
@@ -1,36 +1,231 @@
-import React, { useState, useEffect } from "react";
-import { taskListAPI, taskAPI } from "../services/api";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  taskListAPI,
+  taskAPI,
+  labelAPI,
+  viewAPI,
+  templateAPI,
+  undoAPI,
+} from "../services/api";
 import Navbar from "../components/Navbar";
 import TaskListModal from "../components/TaskListModal";
 import TaskModal from "../components/TaskModal";
 import ShareModal from "../components/ShareModal";
+import LabelModal from "../components/LabelModal";
+import ActivityPanel from "../components/ActivityPanel";
+import ViewModal from "../components/ViewModal";
+import ViewTaskList from "../components/ViewTaskList";
+import BulkActionBar from "../components/BulkActionBar";
+import DuplicateListModal from "../components/DuplicateListModal";
+import TemplateModal from "../components/TemplateModal";
+import TrashPanel from "../components/TrashPanel";
+import UndoSnackbar from "../components/UndoSnackbar";
+import VerificationBanner from "../components/VerificationBanner";
 import "../styles/dashboard.css";
 
-const Dashboard = () => {
+const TASK_PAGE_SIZE = 25;
+const TASK_LIST_PAGE_SIZE = 50;
+
+// Sort fields offered for the task list, with their default direction
+const SORT_OPTIONS = [
+  { value: "position", label: "Manual order", order: "asc" },
+  { value: "createdAt", label: "Created", order: "desc" },
+  { value: "updatedAt", label: "Updated", order: "desc" },
+  { value: "dueDate", label: "Due date", order: "asc" },
+  { value: "startDate", label: "Start date", order: "asc" },
+  { value: "title", label: "Title", order: "asc" },
+];
+
+const Dashboard = ({ onOpenSettings }) => {
   const [taskLists, setTaskLists] = useState([]);
+  // Lists the user can move or copy tasks into
+  const [editableLists, setEditableLists] = useState([]);
+  const [taskListPage, setTaskListPage] = useState(1);
+  const [hasMoreTaskLists, setHasMoreTaskLists] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
   const [selectedTaskList, setSelectedTaskList] = useState(null);
+  const [views, setViews] = useState([]);
+  const [selectedView, setSelectedView] = useState(null);
+  const [showViewModal, setShowViewModal] = useState(false);
+  const [editingView, setEditingView] = useState(null);
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showTaskListModal, setShowTaskListModal] = useState(false);
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showLabelModal, setShowLabelModal] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  const [labels, setLabels] = useState([]);
+  const [labelFilter, setLabelFilter] = useState("");
+  const [members, setMembers] = useState([]);
+  const [assignedToMe, setAssignedToMe] = useState(false);
   const [editingTaskList, setEditingTaskList] = useState(null);
+  const [duplicatingTaskList, setDuplicatingTaskList] = useState(null);
+  const [templateTaskList, setTemplateTaskList] = useState(null);
+  const [editingTemplate, setEditingTemplate] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [dateField, setDateField] = useState("created");
+  const [dateFrom, setDateFrom] = useState("");
+  const [dateTo, setDateTo] = useState("");
+  const [sort, setSort] = useState("position");
+  const [order, setOrder] = useState("asc");
+  const [nextCursor, setNextCursor] = useState(null);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [undo, setUndo] = useState(null);
+  const loadMoreRef = useRef(null);
+
+  // Fetch the first page of tasks, or the page after `cursor` to append it
+  const fetchTasks = useCallback(
+    async (taskListId, cursor) => {
+      try {
+        const response = await taskAPI.getAll(taskListId, {
+          label: labelFilter || undefined,
+          assignee: assignedToMe ? "me" : undefined,
+          status: statusFilter || undefined,
+          q: debouncedSearch || undefined,
+          [`${dateField}After`]: dateFrom
+            ? new Date(`${dateFrom}T00:00`).toISOString()
+            : undefined,
+          [`${dateField}Before`]: dateTo
+            ? new Date(`${dateTo}T23:59:59.999`).toISOString()
+            : undefined,
+          sort,
+          order,
+          limit: TASK_PAGE_SIZE,
+          cursor,
+        });
+        const page = response.data.tasks || [];
+        setTasks((current) => (cursor ? [...current, ...page] : page));
+        setNextCursor(response.data.nextCursor || null);
+      } catch (error) {
+        console.error("Error fetching tasks:", error);
+      }
+    },
+    [
+      labelFilter,
+      assignedToMe,
+      statusFilter,
+      debouncedSearch,
+      dateField,
+      dateFrom,
+      dateTo,
+      sort,
+      order,
+    ]
+  );
+
+  const fetchLabels = useCallback(async (taskListId) => {
+    try {
+      const response = await labelAPI.getAll(taskListId);
+      setLabels(response.data.labels || []);
+    } catch (error) {
+      console.error("Error fetching labels:", error);
+    }
+  }, []);
+
+  const fetchMembers = useCallback(async (taskListId) => {
+    try {
+      const response = await taskListAPI.getMembers(taskListId);
+      setMembers(response.data.members || []);
+    } catch (error) {
+      console.error("Error fetching members:", error);
+    }
+  }, []);
+
+  // Load every list the user can edit, the sidebar only holds the pages loaded
+  // so far (or the archived lists)
+  const fetchEditableLists = useCallback(async () => {
+    try {
+      const lists = [];
+      let totalPages = 1;
+      for (let page = 1; page <= totalPages; page++) {
+        const response = await taskListAPI.getAll({
+          page,
+          limit: 100,
+          editable: true,
+        });
+        lists.push(...(response.data.all || []));
+        totalPages = response.data.pagination.totalPages;
+      }
+      setEditableLists(lists);
+    } catch (error) {
+      console.error("Error fetching task lists:", error);
+    }
+  }, []);
+
+  const fetchViews = useCallback(async () => {
+    try {
+      const response = await viewAPI.getAll();
+      setViews(response.data.views || []);
+    } catch (error) {
+      console.error("Error fetching views:", error);
+    }
+  }, []);
 
   useEffect(() => {
     fetchTaskLists();
   }, []);
 
+  useEffect(() => {
+    fetchViews();
+  }, [fetchViews]);
+
+  // Reload the targets whenever lists were created, renamed or removed
+  useEffect(() => {
+    fetchEditableLists();
+  }, [taskLists, fetchEditableLists]);
+
   useEffect(() => {
     if (selectedTaskList) {
       fetchTasks(selectedTaskList.id);
     }
-  }, [selectedTaskList]);
+  }, [selectedTaskList, fetchTasks]);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  // Load the next page once the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || !selectedTaskList) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchTasks(selectedTaskList.id, nextCursor);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, selectedTaskList, fetchTasks]);
+
+  useEffect(() => {
+    if (selectedTaskList) {
+      fetchLabels(selectedTaskList.id);
+      fetchMembers(selectedTaskList.id);
+    }
+  }, [selectedTaskList, fetchLabels, fetchMembers]);
 
-  const fetchTaskLists = async () => {
+  // Fetch the first page of task lists, or a later page to append it
+  const fetchTaskLists = async (page = 1, archived = false) => {
     try {
-      const response = await taskListAPI.getAll();
-      setTaskLists(response.data.all || []);
+      const response = await taskListAPI.getAll({
+        page,
+        limit: TASK_LIST_PAGE_SIZE,
+        ...(archived && { archived: true }),
+      });
+      const lists = response.data.all || [];
+      setTaskLists((current) => (page > 1 ? [...current, ...lists] : lists));
+      setTaskListPage(page);
+      setHasMoreTaskLists(page < response.data.pagination.totalPages);
       setLoading(false);
     } catch (error) {
       console.error("Error fetching task lists:", error);
@@ -38,28 +233,48 @@ const Dashboard = () => {
     }
   };
 
-  const fetchTasks = async (taskListId) => {
+  const handleCreateTaskList = async (title, templateId) => {
     try {
-      const response = await taskAPI.getAll(taskListId);
-      setTasks(response.data.tasks || []);
+      await taskListAPI.create(title, templateId);
+      fetchTaskLists();
+      setShowTaskListModal(false);
     } catch (error) {
-      console.error("Error fetching tasks:", error);
+      console.error("Error creating task list:", error);
+    }
+  };
+
+  // Show the undo snackbar for a change that returned an undo token
+  const offerUndo = (response, message) => {
+    if (response.data.undo) {
+      setUndo({ ...response.data.undo, message });
     }
   };
 
-  const handleCreateTaskList = async (title) => {
+  const dismissUndo = useCallback(() => setUndo(null), []);
+
+  const handleUndo = async () => {
+    const { token } = undo;
+    setUndo(null);
+
     try {
-      await taskListAPI.create(title);
-      fetchTaskLists();
-      setShowTaskListModal(false);
+      const response = await undoAPI.undo(token);
+      const { taskList } = response.data;
+      fetchTaskLists(1, showArchived);
+      if (taskList && selectedTaskList?.id === taskList.id) {
+        setSelectedTaskList({ ...selectedTaskList, ...taskList });
+      } else if (!taskList && selectedTaskList) {
+        fetchTasks(selectedTaskList.id);
+      }
     } catch (error) {
-      console.error("Error creating task list:", error);
+      console.error("Error undoing change:", error);
+      alert(error.response?.data?.error || "Failed to undo the change");
     }
   };
 
   const handleUpdateTaskList = async (id, title) => {
     try {
-      await taskListAPI.update(id, title);
+      const response = await taskListAPI.update(id, title);
+      offerUndo(response, "Task list renamed");
       fetchTaskLists();
       setShowTaskListModal(false);
       setEditingTaskList(null);
@@ -68,18 +283,89 @@ const Dashboard = () => {
     }
   };
 
+  // Errors are left to the modal so it can show them
+  const handleDuplicateTaskList = async (data) => {
+    const response = await taskListAPI.duplicate(duplicatingTaskList.id, data);
+    setShowArchived(false);
+    fetchTaskLists();
+    selectTaskList(response.data.taskList);
+    setDuplicatingTaskList(null);
+  };
+
+  const handleSaveTemplate = async (data) => {
+    if (editingTemplate) {
+      await templateAPI.update(editingTemplate.id, data);
+    } else {
+      await templateAPI.create({ ...data, taskListId: templateTaskList.id });
+    }
+    setTemplateTaskList(null);
+    setEditingTemplate(null);
+  };
+
   const handleDeleteTaskList = async (id) => {
-    if (window.confirm("Are you sure you want to delete this task list?")) {
+    try {
+      const response = await taskListAPI.delete(id);
+      offerUndo(response, "Task list moved to the trash");
+      fetchTaskLists(1, showArchived);
+      if (selectedTaskList?.id === id) {
+        setSelectedTaskList(null);
+        setTasks([]);
+      }
+    } catch (error) {
+      console.error("Error deleting task list:", error);
+      alert(error.response?.data?.error || "Failed to delete task list");
+    }
+  };
+
+  const handleArchiveTaskList = async (archived) => {
+    try {
+      const response = archived
+        ? await taskListAPI.archive(selectedTaskList.id)
+        : await taskListAPI.unarchive(selectedTaskList.id);
+      setSelectedTaskList({ ...selectedTaskList, ...response.data.taskList });
+      fetchTaskLists(1, showArchived);
+    } catch (error) {
+      console.error("Error archiving task list:", error);
+      alert(error.response?.data?.error || "Failed to archive task list");
+    }
+  };
+
+  // Switch the sidebar between active and archived lists
+  const toggleArchived = () => {
+    setShowArchived(!showArchived);
+    fetchTaskLists(1, !showArchived);
+  };
+
+  const openTrash = () => {
+    setShowTrash(true);
+    setSelectedTaskList(null);
+    setSelectedView(null);
+    setTasks([]);
+  };
+
+  // Errors are left to the modal so it can show them
+  const handleSaveView = async (data) => {
+    const response = editingView
+      ? await viewAPI.update(editingView.id, data)
+      : await viewAPI.create(data);
+    fetchViews();
+    setSelectedView(response.data.view);
+    setSelectedTaskList(null);
+    setShowViewModal(false);
+    setEditingView(null);
+  };
+
+  const handleDeleteView = async (id) => {
+    if (window.confirm("Are you sure you want to delete this view?")) {
       try {
-        await taskListAPI.delete(id);
-        fetchTaskLists();
-        if (selectedTaskList?.id === id) {
-          setSelectedTaskList(null);
-          setTasks([]);
+        await viewAPI.delete(id);
+        fetchViews();
+        if (selectedView?.id === id) {
+          setSelectedView(null);
         }
       } catch (error) {
-        console.error("Error deleting task list:", error);
-        alert(error.response?.data?.error || "Failed to delete task list");
+        console.error("Error deleting view:", error);
+        alert(error.response?.data?.error || "Failed to delete view");
       }
     }
   };
@@ -97,7 +383,12 @@ const Dashboard = () => {
 
   const handleUpdateTask = async (taskId, taskData) => {
     try {
-      await taskAPI.update(selectedTaskList.id, taskId, taskData);
+      const response = await taskAPI.update(
+        selectedTaskList.id,
+        taskId,
+        taskData
+      );
+      offerUndo(response, "Task updated");
       fetchTasks(selectedTaskList.id);
       setShowTaskModal(false);
       setEditingTask(null);
@@ -108,20 +399,24 @@ const Dashboard = () => {
   };
 
   const handleDeleteTask = async (taskId) => {
-    if (window.confirm("Are you sure you want to delete this task?")) {
-      try {
-        await taskAPI.delete(selectedTaskList.id, taskId);
-        fetchTasks(selectedTaskList.id);
-      } catch (error) {
-        console.error("Error deleting task:", error);
-        alert(error.response?.data?.error || "Failed to delete task");
-      }
+    try {
+      const response = await taskAPI.delete(selectedTaskList.id, taskId);
+      offerUndo(response, "Task moved to the trash");
+      fetchTasks(selectedTaskList.id);
+    } catch (error) {
+      console.error("Error deleting task:", error);
+      alert(error.response?.data?.error || "Failed to delete task");
     }
   };
 
   const handleStatusChange = async (taskId, newStatus) => {
     try {
-      await taskAPI.updateStatus(selectedTaskList.id, taskId, newStatus);
+      const response = await taskAPI.updateStatus(
+        selectedTaskList.id,
+        taskId,
+        newStatus
+      );
+      offerUndo(response, `Task marked ${getStatusLabel(newStatus)}`);
       fetchTasks(selectedTaskList.id);
     } catch (error) {
       console.error("Error updating status:", error);
@@ -129,6 +424,144 @@ const Dashboard = () => {
     }
   };
 
+  // Move or copy a task, `choice` is "move:<listId>" or "copy:<listId>"
+  const handleTransferTask = async (task, choice) => {
+    const [mode, targetTaskListId] = choice.split(":");
+
+    try {
+      await taskAPI[mode](selectedTaskList.id, task.id, targetTaskListId);
+      fetchTasks(selectedTaskList.id);
+      fetchTaskLists();
+    } catch (error) {
+      console.error(`Error trying to ${mode} task:`, error);
+      alert(error.response?.data?.error || `Failed to ${mode} task`);
+    }
+  };
+
+  // Apply one operation to every selected task, all or nothing
+  const handleBulk = async (operation) => {
+    try {
+      const response = await taskAPI.bulk(selectedTaskList.id, {
+        operations: [{ ...operation, taskIds: selectedTaskIds }],
+      });
+      const count = response.data.summary.succeeded;
+      offerUndo(
+        response,
+        operation.action === "delete"
+          ? `${count} tasks moved to the trash`
+          : `${count} tasks ${operation.action === "move" ? "moved" : "updated"}`
+      );
+      setSelectedTaskIds([]);
+      fetchTasks(selectedTaskList.id);
+      if (operation.action === "move" || operation.action === "delete") {
+        fetchTaskLists();
+      }
+    } catch (error) {
+      console.error("Error applying bulk action:", error);
+      const failed = error.response?.data?.results?.filter(
+        (result) => !result.ok
+      );
+      alert(
+        failed?.length
+          ? `${error.response.data.error}: ${failed[0].error}`
+          : error.response?.data?.error || "Failed to update the tasks"
+      );
+    }
+  };
+
+  const toggleTaskSelection = (taskId) => {
+    setSelectedTaskIds((current) =>
+      current.includes(taskId)
+        ? current.filter((id) => id !== taskId)
+        : [...current, taskId]
+    );
+  };
+
+  // Work out whether a drop lands before or after the hovered task card
+  const getDropPlacement = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return e.clientY < rect.top + rect.height / 2 ? "before" : "after";
+  };
+
+  const handleDragOver = (e, taskId) => {
+    if (!draggedTaskId || draggedTaskId === taskId) return;
+    e.preventDefault();
+    const placement = getDropPlacement(e);
+    if (dropTarget?.taskId !== taskId || dropTarget?.placement !== placement) {
+      setDropTarget({ taskId, placement });
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDraggedTaskId(null);
+    setDropTarget(null);
+  };
+
+  const handleDrop = async (e, targetTaskId) => {
+    e.preventDefault();
+    const taskId = draggedTaskId;
+    const placement = getDropPlacement(e);
+    handleDragEnd();
+
+    if (!taskId || taskId === targetTaskId) return;
+
+    // Reorder locally first so the card does not jump back while saving
+    const remaining = tasks.filter((task) => task.id !== taskId);
+    const targetIndex = remaining.findIndex((task) => task.id === targetTaskId);
+    const moved = tasks.find((task) => task.id === taskId);
+    remaining.splice(
+      placement === "before" ? targetIndex : targetIndex + 1,
+      0,
+      moved
+    );
+    setTasks(remaining);
+
+    try {
+      const response = await taskAPI.reorder(
+        selectedTaskList.id,
+        taskId,
+        placement === "before"
+          ? { beforeTaskId: targetTaskId }
+          : { afterTaskId: targetTaskId }
+      );
+      setTasks(response.data.tasks || []);
+      setNextCursor(null);
+    } catch (error) {
+      console.error("Error reordering task:", error);
+      alert(error.response?.data?.error || "Failed to reorder task");
+      fetchTasks(selectedTaskList.id);
+    }
+  };
+
+  // Describe an RRULE-style recurrence, e.g. "Every 2 weeks on MO, TH"
+  const getRecurrenceLabel = (rule) => {
+    const parts = Object.fromEntries(
+      rule.split(";").map((part) => part.split("="))
+    );
+    const interval = Number(parts.INTERVAL || 1);
+    const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[parts.FREQ];
+    const label =
+      interval > 1
+        ? `Every ${interval} ${unit}s`
+        : { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly" }[parts.FREQ];
+    return parts.BYDAY
+      ? `${label} on ${parts.BYDAY.replaceAll(",", ", ")}`
+      : label;
+  };
+
+  const getPriorityLabel = (priority) => {
+    switch (priority) {
+      case "urgent":
+        return "Urgent";
+      case "high":
+        return "High";
+      case "low":
+        return "Low";
+      default:
+        return "Medium";
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case "completed":
@@ -156,11 +589,74 @@ const Dashboard = () => {
     (selectedTaskList.permission === "owner" ||
       selectedTaskList.permission === "edit");
   const isOwner = selectedTaskList && selectedTaskList.permission === "owner";
+  const hasFilters = Boolean(
+    labelFilter ||
+    assignedToMe ||
+    statusFilter ||
+    debouncedSearch ||
+    dateFrom ||
+    dateTo
+  );
+  // Manual reordering only makes sense on the complete list in manual order
+  const canReorder = canEdit && sort === "position" && !hasFilters;
+
+  const clearFilters = () => {
+    setLabelFilter("");
+    setAssignedToMe(false);
+    setStatusFilter("");
+    setSearch("");
+    setDateFrom("");
+    setDateTo("");
+  };
+
+  const selectTaskList = (list) => {
+    setSelectedTaskList(list);
+    setSelectedView(null);
+    setShowTrash(false);
+    setNextCursor(null);
+    setSelectedTaskIds([]);
+    clearFilters();
+  };
+
+  const selectView = (view) => {
+    setSelectedView(view);
+    setSelectedTaskList(null);
+    setShowTrash(false);
+    setTasks([]);
+  };
+
+  // Jump to a task list, opening one of its tasks if given
+  const openInTaskList = async (taskListId, task) => {
+    let list = taskLists.find((l) => l.id === taskListId);
+
+    // Archived lists are not in the sidebar but can still be opened
+    if (!list) {
+      try {
+        const response = await taskListAPI.getById(taskListId);
+        list = response.data;
+      } catch (error) {
+        console.error("Error fetching task list:", error);
+        return;
+      }
+    }
+
+    if (selectedTaskList?.id !== list.id) {
+      selectTaskList(list);
+    }
+    if (task) {
+      setEditingTask(task);
+      setShowTaskModal(true);
+    }
+  };
+
+  const handleSearchSelect = (result) => {
+    openInTaskList(result.taskListId, result.task);
+  };
 
   if (loading) {
     return (
       <div className="dashboard">
-        <Navbar />
+        <Navbar onOpenSettings={onOpenSettings} />
         <div className="loading-state">
           <div>Loading...</div>
         </div>
@@ -170,26 +666,91 @@ const Dashboard = () => {
 
   return (
     <div className="dashboard">
-      <Navbar />
+      <Navbar
+        onSearchSelect={handleSearchSelect}
+        onOpenSettings={onOpenSettings}
+      />
+      <VerificationBanner />
 
       <div className="dashboard-container">
         <div className="dashboard-grid">
-          {/* Task Lists Sidebar */}
+          {/* Views and Task Lists Sidebar */}
           <div>
             <div className="sidebar-card">
               <div className="sidebar-header">
-                <h2 className="sidebar-title">Task Lists</h2>
+                <h2 className="sidebar-title">Views</h2>
                 <button
-                  onClick={() => setShowTaskListModal(true)}
+                  onClick={() => setShowViewModal(true)}
                   className="btn-new"
                 >
                   + New
                 </button>
               </div>
 
+              <div className="task-lists">
+                {views.length === 0 ? (
+                  <p className="empty-state">
+                    Save filters to see tasks from all your lists
+                  </p>
+                ) : (
+                  views.map((view) => (
+                    <div
+                      key={view.id}
+                      className={`task-list-item ${
+                        selectedView?.id === view.id ? "active" : ""
+                      }`}
+                      onClick={() => selectView(view)}
+                    >
+                      <div className="task-list-content">
+                        <h3 className="task-list-title">🔎 {view.name}</h3>
+                        <div className="task-list-actions">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setEditingView(view);
+                              setShowViewModal(true);
+                            }}
+                            className="icon-btn"
+                          >
+                            ✏️
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDeleteView(view.id);
+                            }}
+                            className="icon-btn delete"
+                          >
+                            🗑️
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
+            <div className="sidebar-card">
+              <div className="sidebar-header">
+                <h2 className="sidebar-title">
+                  {showArchived ? "Archived Lists" : "Task Lists"}
+                </h2>
+                {!showArchived && (
+                  <button
+                    onClick={() => setShowTaskListModal(true)}
+                    className="btn-new"
+                  >
+                    + New
+                  </button>
+                )}
+              </div>
+
               <div className="task-lists">
                 {taskLists.length === 0 ? (
-                  <p className="empty-state">No task lists yet</p>
+                  <p className="empty-state">
+                    {showArchived ? "No archived lists" : "No task lists yet"}
+                  </p>
                 ) : (
                   taskLists.map((list) => (
                     <div
@@ -197,7 +758,10 @@ const Dashboard = () => {
                       className={`task-list-item ${
                         selectedTaskList?.id === list.id ? "active" : ""
                       }`}
-                      onClick={() => setSelectedTaskList(list)}
+                      onClick={() => selectTaskList(list)}
+                      title={`Last activity ${new Date(
+                        list.lastActivityAt
+                      ).toLocaleString()}`}
                     >
                       <div className="task-list-content">
                         <div className="task-list-info">
@@ -211,55 +775,174 @@ const Dashboard = () => {
                               {list.isOwner ? "Owner" : list.permission}
                             </span>
                             <span className="task-count">
-                              {list.tasks?.length || 0} tasks
+                              {list.taskCounts.total} tasks
+                              {list.taskCounts.completed > 0 &&
+                                ` · ${list.taskCounts.completed} done`}
                             </span>
+                            {list.isOwner && list.shareCount > 0 && (
+                              <span className="task-count" title="Shared with">
+                                👥 {list.shareCount}
+                              </span>
+                            )}
                           </div>
                         </div>
-                        {list.isOwner && (
-                          <div className="task-list-actions">
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                setEditingTaskList(list);
-                                setShowTaskListModal(true);
-                              }}
-                              className="icon-btn"
-                            >
-                              ✏️
-                            </button>
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                handleDeleteTaskList(list.id);
-                              }}
-                              className="icon-btn delete"
-                            >
-                              🗑️
-                            </button>
-                          </div>
-                        )}
+                        <div className="task-list-actions">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setDuplicatingTaskList(list);
+                            }}
+                            className="icon-btn"
+                            title="Duplicate"
+                          >
+                            ⧉
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setTemplateTaskList(list);
+                            }}
+                            className="icon-btn"
+                            title="Save as template"
+                          >
+                            📑
+                          </button>
+                          {list.isOwner && (
+                            <>
+                              {!list.archivedAt && (
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    setEditingTaskList(list);
+                                    setShowTaskListModal(true);
+                                  }}
+                                  className="icon-btn"
+                                >
+                                  ✏️
+                                </button>
+                              )}
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleDeleteTaskList(list.id);
+                                }}
+                                className="icon-btn delete"
+                              >
+                                🗑️
+                              </button>
+                            </>
+                          )}
+                        </div>
                       </div>
                     </div>
                   ))
                 )}
+                {hasMoreTaskLists && (
+                  <button
+                    onClick={() =>
+                      fetchTaskLists(taskListPage + 1, showArchived)
+                    }
+                    className="btn-load-more-lists"
+                  >
+                    Load more lists
+                  </button>
+                )}
+              </div>
+
+              <div className="sidebar-footer">
+                <button onClick={toggleArchived} className="btn-sidebar-link">
+                  {showArchived ? "← Back to lists" : "📦 Archived lists"}
+                </button>
+                <button
+                  onClick={openTrash}
+                  className={`btn-sidebar-link ${showTrash ? "active" : ""}`}
+                >
+                  🗑️ Trash
+                </button>
               </div>
             </div>
           </div>
 
           {/* Tasks Main Area */}
           <div>
-            {selectedTaskList ? (
+            {showTrash ? (
+              <div className="main-card">
+                <div className="main-header">
+                  <div>
+                    <h2 className="main-title">Trash</h2>
+                  </div>
+                </div>
+                <TrashPanel onRestore={() => fetchTaskLists(1, showArchived)} />
+              </div>
+            ) : selectedView ? (
+              <div className="main-card">
+                <div className="main-header">
+                  <div>
+                    <h2 className="main-title">{selectedView.name}</h2>
+                    <p className="main-subtitle">
+                      Tasks from all your lists, most recently updated first
+                    </p>
+                  </div>
+                </div>
+                <ViewTaskList
+                  view={selectedView}
+                  onOpenTask={(task) => openInTaskList(task.taskListId, task)}
+                />
+              </div>
+            ) : selectedTaskList ? (
               <div className="main-card">
                 <div className="main-header">
                   <div>
                     <h2 className="main-title">{selectedTaskList.title}</h2>
                     <p className="main-subtitle">
-                      {selectedTaskList.isOwner
-                        ? "You own this list"
-                        : `Shared with ${selectedTaskList.permission} permission`}
+                      {selectedTaskList.archivedAt
+                        ? `📦 Archived ${new Date(
+                            selectedTaskList.archivedAt
+                          ).toLocaleDateString()} · read-only`
+                        : selectedTaskList.isOwner
+                          ? "You own this list"
+                          : `Shared with ${selectedTaskList.permission} permission`}
                     </p>
                   </div>
                   <div className="main-actions">
+                    {members.length > 1 && (
+                      <label className="filter-toggle">
+                        <input
+                          type="checkbox"
+                          checked={assignedToMe}
+                          onChange={(e) => setAssignedToMe(e.target.checked)}
+                        />
+                        Assigned to me
+                      </label>
+                    )}
+                    {labels.length > 0 && (
+                      <select
+                        value={labelFilter}
+                        onChange={(e) => setLabelFilter(e.target.value)}
+                        className="filter-select"
+                      >
+                        <option value="">All labels</option>
+                        {labels.map((label) => (
+                          <option key={label.id} value={label.id}>
+                            {label.name}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    <button
+                      onClick={() => setShowActivity(!showActivity)}
+                      className={`btn-activity ${showActivity ? "active" : ""}`}
+                    >
+                      🕘 Activity
+                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={() => setShowLabelModal(true)}
+                        className="btn-labels"
+                      >
+                        🏷️ Labels
+                      </button>
+                    )}
                     {isOwner && (
                       <button
                         onClick={() => setShowShareModal(true)}
@@ -268,6 +951,18 @@ const Dashboard = () => {
                         👥 Share
                       </button>
                     )}
+                    {selectedTaskList.isOwner && (
+                      <button
+                        onClick={() =>
+                          handleArchiveTaskList(!selectedTaskList.archivedAt)
+                        }
+                        className="btn-activity"
+                      >
+                        {selectedTaskList.archivedAt
+                          ? "📤 Unarchive"
+                          : "📦 Archive"}
+                      </button>
+                    )}
                     {canEdit && (
                       <button
                         onClick={() => setShowTaskModal(true)}
@@ -279,17 +974,152 @@ const Dashboard = () => {
                   </div>
                 </div>
 
+                <div className="task-filters">
+                  <input
+                    type="search"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    className="filter-input"
+                    placeholder="Search tasks"
+                  />
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    className="filter-select"
+                  >
+                    <option value="">All statuses</option>
+                    <option value="pending">Pending</option>
+                    <option value="in_progress">In Progress</option>
+                    <option value="completed">Completed</option>
+                  </select>
+                  <select
+                    value={dateField}
+                    onChange={(e) => setDateField(e.target.value)}
+                    className="filter-select"
+                  >
+                    <option value="created">Created</option>
+                    <option value="updated">Updated</option>
+                  </select>
+                  <input
+                    type="date"
+                    value={dateFrom}
+                    onChange={(e) => setDateFrom(e.target.value)}
+                    className="filter-select"
+                    title="From"
+                  />
+                  <input
+                    type="date"
+                    value={dateTo}
+                    onChange={(e) => setDateTo(e.target.value)}
+                    className="filter-select"
+                    title="To"
+                  />
+                  <select
+                    value={sort}
+                    onChange={(e) => {
+                      setSort(e.target.value);
+                      setOrder(
+                        SORT_OPTIONS.find(
+                          (option) => option.value === e.target.value
+                        ).order
+                      );
+                    }}
+                    className="filter-select"
+                  >
+                    {SORT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        Sort: {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setOrder(order === "asc" ? "desc" : "asc")}
+                    className="btn-sort-order"
+                    title={order === "asc" ? "Ascending" : "Descending"}
+                  >
+                    {order === "asc" ? "↑" : "↓"}
+                  </button>
+                  {hasFilters && (
+                    <button
+                      onClick={clearFilters}
+                      className="btn-clear-filters"
+                    >
+                      Clear filters
+                    </button>
+                  )}
+                </div>
+
+                {canEdit && selectedTaskIds.length > 0 && (
+                  <BulkActionBar
+                    count={selectedTaskIds.length}
+                    allSelected={tasks.every((task) =>
+                      selectedTaskIds.includes(task.id)
+                    )}
+                    moveTargets={editableLists.filter(
+                      (list) => list.id !== selectedTaskList.id
+                    )}
+                    onToggleAll={(e) =>
+                      setSelectedTaskIds(
+                        e.target.checked ? tasks.map((task) => task.id) : []
+                      )
+                    }
+                    onApply={handleBulk}
+                    onClear={() => setSelectedTaskIds([])}
+                  />
+                )}
+
                 <div className="tasks-container">
                   {tasks.length === 0 ? (
                     <p className="empty-state">
-                      No tasks yet. Create one to get started!
+                      {hasFilters
+                        ? "No tasks match these filters."
+                        : "No tasks yet. Create one to get started!"}
                     </p>
                   ) : (
                     tasks.map((task) => (
-                      <div key={task.id} className="task-card">
+                      <div
+                        key={task.id}
+                        className={`task-card ${task.isOverdue ? "overdue" : ""} ${
+                          draggedTaskId === task.id ? "dragging" : ""
+                        } ${
+                          dropTarget?.taskId === task.id
+                            ? `drop-${dropTarget.placement}`
+                            : ""
+                        }`}
+                        draggable={canReorder}
+                        onDragStart={() => setDraggedTaskId(task.id)}
+                        onDragOver={(e) => handleDragOver(e, task.id)}
+                        onDrop={(e) => handleDrop(e, task.id)}
+                        onDragEnd={handleDragEnd}
+                      >
                         <div className="task-content">
+                          {canEdit && (
+                            <input
+                              type="checkbox"
+                              checked={selectedTaskIds.includes(task.id)}
+                              onChange={() => toggleTaskSelection(task.id)}
+                              className="task-select"
+                              title="Select for bulk actions"
+                            />
+                          )}
                           <div className="task-info">
                             <h3 className="task-title">{task.title}</h3>
+                            {task.labels?.length > 0 && (
+                              <div className="task-labels">
+                                {task.labels.map((label) => (
+                                  <button
+                                    key={label.id}
+                                    type="button"
+                                    onClick={() => setLabelFilter(label.id)}
+                                    className="label-chip selected"
+                                    style={{ "--label-color": label.color }}
+                                    title={`Show tasks labeled "${label.name}"`}
+                                  >
+                                    {label.name}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
                             {task.description && (
                               <p className="task-description">
                                 {task.description}
@@ -308,35 +1138,172 @@ const Dashboard = () => {
                                 <option value="in_progress">In Progress</option>
                                 <option value="completed">Completed</option>
                               </select>
+                              <span
+                                className={`priority-badge priority-${task.priority || "medium"}`}
+                              >
+                                {getPriorityLabel(task.priority)}
+                              </span>
+                              {task.isBlocked && (
+                                <span
+                                  className="task-blocked"
+                                  title="Complete the blocking tasks first"
+                                >
+                                  ⛔ Blocked by {task.blockers.incomplete}
+                                </span>
+                              )}
+                              {task._count?.blocking > 0 && (
+                                <span className="task-blocking">
+                                  Blocking {task._count.blocking}
+                                </span>
+                              )}
+                              {task.recurrence && (
+                                <span
+                                  className="task-recurrence"
+                                  title="Completing this task creates the next occurrence"
+                                >
+                                  🔁 {getRecurrenceLabel(task.recurrence)}
+                                </span>
+                              )}
                               <span className="task-date">
                                 {new Date(task.createdAt).toLocaleDateString()}
                               </span>
+                              {task.assignees?.length > 0 && (
+                                <span className="task-assignees">
+                                  {task.assignees.map((assignee) => (
+                                    <span
+                                      key={assignee.userId}
+                                      className="assignee-avatar"
+                                      title={assignee.user.email}
+                                    >
+                                      {assignee.user.email[0].toUpperCase()}
+                                    </span>
+                                  ))}
+                                </span>
+                              )}
+                              {task.checklist?.total > 0 && (
+                                <span
+                                  className={`task-checklist ${
+                                    task.checklist.completed ===
+                                    task.checklist.total
+                                      ? "done"
+                                      : ""
+                                  }`}
+                                >
+                                  ☑ {task.checklist.completed}/
+                                  {task.checklist.total}
+                                </span>
+                              )}
+                              {task._count?.attachments > 0 && (
+                                <span
+                                  className="task-attachments"
+                                  title="Attachments"
+                                >
+                                  📎 {task._count.attachments}
+                                </span>
+                              )}
+                              {task.startDate && (
+                                <span className="task-date">
+                                  Starts{" "}
+                                  {new Date(task.startDate).toLocaleString()}
+                                </span>
+                              )}
+                              {task.dueDate && (
+                                <span
+                                  className={`task-due ${task.isOverdue ? "overdue" : ""}`}
+                                >
+                                  {task.isOverdue ? "Overdue" : "Due"}{" "}
+                                  {new Date(task.dueDate).toLocaleString()}
+                                </span>
+                              )}
                             </div>
                           </div>
-                          {canEdit && (
-                            <div className="task-actions">
-                              <button
-                                onClick={() => {
-                                  setEditingTask(task);
-                                  setShowTaskModal(true);
-                                }}
-                                className="icon-btn"
-                              >
-                                ✏️
-                              </button>
-                              <button
-                                onClick={() => handleDeleteTask(task.id)}
-                                className="icon-btn delete"
-                              >
-                                🗑️
-                              </button>
-                            </div>
-                          )}
+                          <div className="task-actions">
+                            <button
+                              onClick={() => {
+                                setEditingTask(task);
+                                setShowTaskModal(true);
+                              }}
+                              className="icon-btn comment-count"
+                              title="Comments"
+                            >
+                              💬 {task._count?.comments || 0}
+                            </button>
+                            {canEdit && (
+                              <>
+                                <button
+                                  onClick={() => {
+                                    setEditingTask(task);
+                                    setShowTaskModal(true);
+                                  }}
+                                  className="icon-btn"
+                                >
+                                  ✏️
+                                </button>
+                                <select
+                                  value=""
+                                  onChange={(e) =>
+                                    handleTransferTask(task, e.target.value)
+                                  }
+                                  className="transfer-select"
+                                  title="Move or copy to another list"
+                                >
+                                  <option value="" disabled>
+                                    ⇄
+                                  </option>
+                                  {editableLists.length > 1 && (
+                                    <optgroup label="Move to…">
+                                      {editableLists
+                                        .filter(
+                                          (list) =>
+                                            list.id !== selectedTaskList.id
+                                        )
+                                        .map((list) => (
+                                          <option
+                                            key={list.id}
+                                            value={`move:${list.id}`}
+                                          >
+                                            {list.title}
+                                          </option>
+                                        ))}
+                                    </optgroup>
+                                  )}
+                                  <optgroup label="Copy to…">
+                                    {editableLists.map((list) => (
+                                      <option
+                                        key={list.id}
+                                        value={`copy:${list.id}`}
+                                      >
+                                        {list.title}
+                                      </option>
+                                    ))}
+                                  </optgroup>
+                                </select>
+                                <button
+                                  onClick={() => handleDeleteTask(task.id)}
+                                  className="icon-btn delete"
+                                >
+                                  🗑️
+                                </button>
+                              </>
+                            )}
+                          </div>
                         </div>
                       </div>
                     ))
                   )}
+                  {nextCursor && (
+                    <div ref={loadMoreRef} className="tasks-load-more">
+                      Loading more tasks...
+                    </div>
+                  )}
                 </div>
+
+                {showActivity && (
+                  <ActivityPanel
+                    taskListId={selectedTaskList.id}
+                    refreshKey={tasks}
+                  />
+                )}
               </div>
             ) : (
               <div className="main-card">
@@ -356,24 +1323,89 @@ const Dashboard = () => {
             setEditingTaskList(null);
           }}
           onSave={editingTaskList ? handleUpdateTaskList : handleCreateTaskList}
+          onEditTemplate={(template) => {
+            setShowTaskListModal(false);
+            setEditingTemplate(template);
+          }}
+        />
+      )}
+
+      {duplicatingTaskList && (
+        <DuplicateListModal
+          taskList={duplicatingTaskList}
+          onClose={() => setDuplicatingTaskList(null)}
+          onSave={handleDuplicateTaskList}
+        />
+      )}
+
+      {(templateTaskList || editingTemplate) && (
+        <TemplateModal
+          taskList={templateTaskList}
+          template={editingTemplate}
+          onClose={() => {
+            setTemplateTaskList(null);
+            setEditingTemplate(null);
+          }}
+          onSave={handleSaveTemplate}
+        />
+      )}
+
+      {showViewModal && (
+        <ViewModal
+          view={editingView}
+          taskLists={taskLists}
+          onClose={() => {
+            setShowViewModal(false);
+            setEditingView(null);
+          }}
+          onSave={handleSaveView}
         />
       )}
 
       {showTaskModal && (
         <TaskModal
           task={editingTask}
+          taskListId={selectedTaskList?.id}
+          labels={labels}
+          members={members}
+          taskLists={taskLists}
+          canEdit={canEdit}
+          isOwner={isOwner}
           onClose={() => {
             setShowTaskModal(false);
+            if (editingTask) {
+              fetchTasks(selectedTaskList.id);
+            }
             setEditingTask(null);
           }}
           onSave={editingTask ? handleUpdateTask : handleCreateTask}
         />
       )}
 
+      {showLabelModal && selectedTaskList && (
+        <LabelModal
+          taskList={selectedTaskList}
+          labels={labels}
+          onClose={() => {
+            setShowLabelModal(false);
+            fetchTasks(selectedTaskList.id);
+          }}
+          onChange={() => fetchLabels(selectedTaskList.id)}
+        />
+      )}
+
+      {undo && (
+        <UndoSnackbar undo={undo} onUndo={handleUndo} onDismiss={dismissUndo} />
+      )}
+
       {showShareModal && selectedTaskList && (
         <ShareModal
           taskList={selectedTaskList}
-          onClose={() => setShowShareModal(false)}
+          onClose={() => {
+            setShowShareModal(false);
+            fetchMembers(selectedTaskList.id);
+            fetchTasks(selectedTaskList.id);
+          }}
         />
       )}
     </div>
@@ -0,0 +1,388 @@
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../context/AuthContext";
+import { accountAPI, authAPI } from "../services/api";
+import Navbar from "../components/Navbar";
+import "../styles/auth.css";
+import "../styles/dashboard.css";
+import "../styles/modal.css";
+import "../styles/settings.css";
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error ||
+  error.response?.data?.errors?.[0]?.msg ||
+  fallback;
+
+const ProfileSection = () => {
+  const { user, updateUser } = useAuth();
+  const [name, setName] = useState(user.name || "");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setSaving(true);
+
+    try {
+      const response = await accountAPI.updateProfile(name);
+      updateUser(response.data.user);
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to update profile"));
+    }
+
+    setSaving(false);
+  };
+
+  return (
+    <form className="main-card settings-section" onSubmit={handleSubmit}>
+      <h2 className="settings-title">Profile</h2>
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+      <div className="form-group">
+        <label htmlFor="name" className="form-label">
+          Display name
+        </label>
+        <input
+          id="name"
+          type="text"
+          maxLength={100}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="form-input"
+          placeholder="Shown instead of your email address"
+        />
+      </div>
+      <button type="submit" disabled={saving} className="btn-primary">
+        {saving ? "Saving..." : "Save profile"}
+      </button>
+    </form>
+  );
+};
+
+const EmailSection = () => {
+  const { user, updateUser } = useAuth();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setSaving(true);
+
+    try {
+      const response = await accountAPI.changeEmail(email, password);
+      updateUser({ pendingEmail: response.data.pendingEmail });
+      setMessage(response.data.message);
+      setEmail("");
+      setPassword("");
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to change email"));
+    }
+
+    setSaving(false);
+  };
+
+  const handleResendVerification = async () => {
+    setMessage("");
+    setError("");
+
+    try {
+      const response = await authAPI.resendVerification(user.email);
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to send the verification email"));
+    }
+  };
+
+  return (
+    <form className="main-card settings-section" onSubmit={handleSubmit}>
+      <h2 className="settings-title">Email address</h2>
+      <p className="settings-note">
+        {user.email} ·{" "}
+        {user.emailVerifiedAt === null ? (
+          <>
+            not verified{" "}
+            <button
+              type="button"
+              onClick={handleResendVerification}
+              className="btn-link"
+            >
+              Resend verification email
+            </button>
+          </>
+        ) : (
+          "verified"
+        )}
+      </p>
+      {user.pendingEmail && (
+        <p className="settings-note">
+          Waiting for you to open the link sent to {user.pendingEmail}
+        </p>
+      )}
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+      <div className="form-group">
+        <label htmlFor="newEmail" className="form-label">
+          New email address
+        </label>
+        <input
+          id="newEmail"
+          type="email"
+          autoComplete="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="emailPassword" className="form-label">
+          Password
+        </label>
+        <input
+          id="emailPassword"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <button type="submit" disabled={saving} className="btn-primary">
+        {saving ? "Sending..." : "Change email"}
+      </button>
+    </form>
+  );
+};
+
+const PasswordSection = () => {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+
+    if (newPassword !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    if (newPassword.length < 6) {
+      setError("Password must be at least 6 characters long");
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const response = await accountAPI.changePassword(
+        currentPassword,
+        newPassword
+      );
+      setMessage(response.data.message);
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to change password"));
+    }
+
+    setSaving(false);
+  };
+
+  return (
+    <form className="main-card settings-section" onSubmit={handleSubmit}>
+      <h2 className="settings-title">Password</h2>
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+      <div className="form-group">
+        <label htmlFor="currentPassword" className="form-label">
+          Current password
+        </label>
+        <input
+          id="currentPassword"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="newPassword" className="form-label">
+          New password
+        </label>
+        <input
+          id="newPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          className="form-input"
+          placeholder="At least 6 characters"
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="confirmNewPassword" className="form-label">
+          Confirm new password
+        </label>
+        <input
+          id="confirmNewPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <button type="submit" disabled={saving} className="btn-primary">
+        {saving ? "Saving..." : "Change password"}
+      </button>
+    </form>
+  );
+};
+
+const DeleteAccountSection = () => {
+  const { deleteAccount } = useAuth();
+  const [taskLists, setTaskLists] = useState(null);
+  // Task list id -> id of the collaborator who takes it over
+  const [transferTo, setTransferTo] = useState({});
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    accountAPI
+      .getOwnedTaskLists()
+      .then((response) => setTaskLists(response.data.taskLists))
+      .catch((error) => {
+        console.error("Error fetching task lists:", error);
+      });
+  }, []);
+
+  const handleTransferChange = (taskListId, userId) => {
+    setTransferTo((current) => {
+      const updated = { ...current };
+      if (userId) {
+        updated[taskListId] = userId;
+      } else {
+        delete updated[taskListId];
+      }
+      return updated;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (
+      !window.confirm(
+        "Delete your account? Lists that are not transferred are deleted with it. This cannot be undone."
+      )
+    ) {
+      return;
+    }
+
+    setDeleting(true);
+
+    try {
+      await deleteAccount(password, transferTo);
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to delete account"));
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <form
+      className="main-card settings-section settings-danger"
+      onSubmit={handleSubmit}
+    >
+      <h2 className="settings-title">Delete account</h2>
+      <p className="settings-note">
+        Your saved views and templates are deleted with your account, your
+        comments stay without your name. Lists you own can be handed over to one
+        of their collaborators, the others are deleted.
+      </p>
+      {error && <div className="error-message">{error}</div>}
+
+      {taskLists?.map((list) => (
+        <div key={list.id} className="settings-transfer">
+          <span className="settings-transfer-title">📋 {list.title}</span>
+          <select
+            value={transferTo[list.id] || ""}
+            onChange={(e) => handleTransferChange(list.id, e.target.value)}
+            className="form-input"
+          >
+            <option value="">Delete</option>
+            {list.collaborators.map((collaborator) => (
+              <option key={collaborator.id} value={collaborator.id}>
+                Transfer to {collaborator.name || collaborator.email}
+              </option>
+            ))}
+          </select>
+        </div>
+      ))}
+
+      <div className="form-group">
+        <label htmlFor="deletePassword" className="form-label">
+          Password
+        </label>
+        <input
+          id="deletePassword"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <button type="submit" disabled={deleting} className="btn-danger">
+        {deleting ? "Deleting..." : "Delete my account"}
+      </button>
+    </form>
+  );
+};
+
+const Settings = ({ onBack }) => {
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="settings-container">
+        <div className="main-header">
+          <h1 className="main-title">Account settings</h1>
+          <button onClick={onBack} className="btn-secondary">
+            ← Back to tasks
+          </button>
+        </div>
+
+        <ProfileSection />
+        <EmailSection />
+        <PasswordSection />
+        <DeleteAccountSection />
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
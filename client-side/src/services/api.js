@@ -19,31 +19,239 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Event fired when the session cannot be refreshed, see AuthContext
+export const SESSION_ENDED_EVENT = "auth:session-ended";
+
+// Auth calls made without a session, a 401 from them is never retried
+const PUBLIC_AUTH_URLS = [
+  "/auth/login",
+  "/auth/register",
+  "/auth/refresh",
+  "/auth/logout",
+  "/auth/forgot-password",
+  "/auth/reset-password",
+  "/auth/verify-email",
+  "/auth/resend-verification",
+];
+
+// Requests failing while a refresh is running wait for the same refresh
+let refreshPromise = null;
+
+// Tabs share the refresh token, which works once: they refresh one at a time
+const withRefreshLock = (callback) =>
+  navigator.locks
+    ? navigator.locks.request("auth:refresh", callback)
+    : callback();
+
+const refreshAccessToken = () => {
+  const staleRefreshToken = localStorage.getItem("refreshToken");
+  if (!staleRefreshToken) {
+    return Promise.reject(new Error("No refresh token"));
+  }
+  if (!refreshPromise) {
+    refreshPromise = withRefreshLock(async () => {
+      // Another tab refreshed the session while this one waited
+      if (localStorage.getItem("refreshToken") !== staleRefreshToken) {
+        return;
+      }
+
+      const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
+        refreshToken: staleRefreshToken,
+      });
+      localStorage.setItem("token", response.data.token);
+      localStorage.setItem("refreshToken", response.data.refreshToken);
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Refresh the access token once on 401 and retry the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+
+    if (
+      response?.status !== 401 ||
+      config._retried ||
+      PUBLIC_AUTH_URLS.includes(config.url)
+    ) {
+      throw error;
+    }
+
+    try {
+      await refreshAccessToken();
+    } catch (refreshError) {
+      console.error("Error refreshing session:", refreshError);
+      window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+      throw error;
+    }
+
+    return api({ ...config, _retried: true });
+  }
+);
+
 // Auth API
 export const authAPI = {
   register: (email, password) =>
     api.post("/auth/register", { email, password }),
   login: (email, password) => api.post("/auth/login", { email, password }),
+  logout: (refreshToken) => api.post("/auth/logout", { refreshToken }),
+  forgotPassword: (email) => api.post("/auth/forgot-password", { email }),
+  resetPassword: (token, password) =>
+    api.post("/auth/reset-password", { token, password }),
+  verifyEmail: (token) => api.post("/auth/verify-email", { token }),
+  resendVerification: (email) =>
+    api.post("/auth/resend-verification", { email }),
+};
+
+// Account API (the signed-in user)
+export const accountAPI = {
+  get: () => api.get("/auth/me"),
+  updateProfile: (name) => api.patch("/auth/me", { name }),
+  changePassword: (currentPassword, newPassword) =>
+    api.put("/auth/me/password", { currentPassword, newPassword }),
+  changeEmail: (email, password) =>
+    api.put("/auth/me/email", { email, password }),
+  getOwnedTaskLists: () => api.get("/auth/me/task-lists"),
+  delete: (password, transferTo) =>
+    api.delete("/auth/me", { data: { password, transferTo } }),
 };
 
 // Task Lists API
 export const taskListAPI = {
-  getAll: () => api.get("/tasklists"),
+  getAll: (params) => api.get("/tasklists", { params }),
   getById: (id) => api.get(`/tasklists/${id}`),
-  create: (title) => api.post("/tasklists", { title }),
+  getMembers: (id) => api.get(`/tasklists/${id}/members`),
+  getActivity: (id, params) => api.get(`/tasklists/${id}/activity`, { params }),
+  create: (title, templateId) => api.post("/tasklists", { title, templateId }),
   update: (id, title) => api.put(`/tasklists/${id}`, { title }),
+  duplicate: (id, data) => api.post(`/tasklists/${id}/duplicate`, data),
+  archive: (id) => api.post(`/tasklists/${id}/archive`),
+  unarchive: (id) => api.post(`/tasklists/${id}/unarchive`),
   delete: (id) => api.delete(`/tasklists/${id}`),
 };
 
 // Tasks API
 export const taskAPI = {
-  getAll: (taskListId) => api.get(`/tasks/${taskListId}`),
+  getAll: (taskListId, params) => api.get(`/tasks/${taskListId}`, { params }),
   create: (taskListId, data) => api.post(`/tasks/${taskListId}`, data),
   update: (taskListId, taskId, data) =>
     api.put(`/tasks/${taskListId}/${taskId}`, data),
   updateStatus: (taskListId, taskId, status) =>
     api.patch(`/tasks/${taskListId}/${taskId}/status`, { status }),
+  reorder: (taskListId, taskId, placement) =>
+    api.patch(`/tasks/${taskListId}/${taskId}/reorder`, placement),
   delete: (taskListId, taskId) => api.delete(`/tasks/${taskListId}/${taskId}`),
+  move: (taskListId, taskId, targetTaskListId) =>
+    api.post(`/tasks/${taskListId}/${taskId}/move`, { targetTaskListId }),
+  copy: (taskListId, taskId, targetTaskListId) =>
+    api.post(`/tasks/${taskListId}/${taskId}/copy`, { targetTaskListId }),
+  bulk: (taskListId, data) => api.post(`/tasks/${taskListId}/bulk`, data),
+};
+
+// Labels API
+export const labelAPI = {
+  getAll: (taskListId) => api.get(`/tasklists/${taskListId}/labels`),
+  create: (taskListId, data) =>
+    api.post(`/tasklists/${taskListId}/labels`, data),
+  update: (taskListId, labelId, data) =>
+    api.put(`/tasklists/${taskListId}/labels/${labelId}`, data),
+  delete: (taskListId, labelId) =>
+    api.delete(`/tasklists/${taskListId}/labels/${labelId}`),
+};
+
+// Checklist Items API
+export const taskItemAPI = {
+  getAll: (taskListId, taskId) =>
+    api.get(`/tasks/${taskListId}/${taskId}/items`),
+  create: (taskListId, taskId, data) =>
+    api.post(`/tasks/${taskListId}/${taskId}/items`, data),
+  update: (taskListId, taskId, itemId, data) =>
+    api.put(`/tasks/${taskListId}/${taskId}/items/${itemId}`, data),
+  delete: (taskListId, taskId, itemId) =>
+    api.delete(`/tasks/${taskListId}/${taskId}/items/${itemId}`),
+};
+
+// Comments API
+export const commentAPI = {
+  getAll: (taskListId, taskId, params) =>
+    api.get(`/tasks/${taskListId}/${taskId}/comments`, { params }),
+  create: (taskListId, taskId, data) =>
+    api.post(`/tasks/${taskListId}/${taskId}/comments`, data),
+  update: (taskListId, taskId, commentId, body) =>
+    api.put(`/tasks/${taskListId}/${taskId}/comments/${commentId}`, { body }),
+  delete: (taskListId, taskId, commentId) =>
+    api.delete(`/tasks/${taskListId}/${taskId}/comments/${commentId}`),
+};
+
+// Task Dependencies API
+export const dependencyAPI = {
+  getAll: (taskListId, taskId) =>
+    api.get(`/tasks/${taskListId}/${taskId}/dependencies`),
+  add: (taskListId, taskId, blockerId) =>
+    api.post(`/tasks/${taskListId}/${taskId}/dependencies`, { blockerId }),
+  remove: (taskListId, taskId, blockerId) =>
+    api.delete(`/tasks/${taskListId}/${taskId}/dependencies/${blockerId}`),
+};
+
+// Attachments API
+export const attachmentAPI = {
+  getAll: (taskListId, taskId) =>
+    api.get(`/tasks/${taskListId}/${taskId}/attachments`),
+  upload: (taskListId, taskId, file) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    return api.post(`/tasks/${taskListId}/${taskId}/attachments`, formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+    });
+  },
+  download: (taskListId, taskId, attachmentId) =>
+    api.get(
+      `/tasks/${taskListId}/${taskId}/attachments/${attachmentId}/download`,
+      { responseType: "blob" }
+    ),
+  delete: (taskListId, taskId, attachmentId) =>
+    api.delete(`/tasks/${taskListId}/${taskId}/attachments/${attachmentId}`),
+};
+
+// Search API
+export const searchAPI = {
+  search: (q, params) => api.get("/search", { params: { q, ...params } }),
+};
+
+// Saved Views API
+export const viewAPI = {
+  getAll: () => api.get("/views"),
+  getTasks: (viewId, params) => api.get(`/views/${viewId}/tasks`, { params }),
+  create: (data) => api.post("/views", data),
+  update: (viewId, data) => api.put(`/views/${viewId}`, data),
+  delete: (viewId) => api.delete(`/views/${viewId}`),
+};
+
+// Trash API
+export const trashAPI = {
+  getAll: () => api.get("/trash"),
+  restoreTaskList: (id) => api.post(`/trash/tasklists/${id}/restore`),
+  deleteTaskList: (id) => api.delete(`/trash/tasklists/${id}`),
+  restoreTask: (taskId) => api.post(`/trash/tasks/${taskId}/restore`),
+  deleteTask: (taskId) => api.delete(`/trash/tasks/${taskId}`),
+};
+
+// Templates API
+export const templateAPI = {
+  getAll: () => api.get("/templates"),
+  getById: (templateId) => api.get(`/templates/${templateId}`),
+  create: (data) => api.post("/templates", data),
+  update: (templateId, data) => api.put(`/templates/${templateId}`, data),
+  delete: (templateId) => api.delete(`/templates/${templateId}`),
+};
+
+// Undo API
+export const undoAPI = {
+  undo: (token) => api.post(`/undo/${token}`),
 };
 
 // Shares API
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "dueDate" DATETIME;
+ALTER TABLE "tasks" ADD COLUMN "startDate" DATETIME;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "priority" TEXT NOT NULL DEFAULT 'medium';
+ALTER TABLE "tasks" ADD COLUMN "position" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill positions so existing lists keep their newest-first order
+UPDATE "tasks" SET "position" = (
+    SELECT COUNT(*) FROM "tasks" AS "other"
+    WHERE "other"."taskListId" = "tasks"."taskListId"
+      AND ("other"."createdAt" > "tasks"."createdAt"
+        OR ("other"."createdAt" = "tasks"."createdAt" AND "other"."id" > "tasks"."id"))
+);
+
+-- CreateIndex
+CREATE INDEX "tasks_taskListId_position_idx" ON "tasks"("taskListId", "position");
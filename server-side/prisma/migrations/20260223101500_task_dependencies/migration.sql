@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "task_dependencies" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "taskId" TEXT NOT NULL,
+    "blockerId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "task_dependencies_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "task_dependencies_blockerId_fkey" FOREIGN KEY ("blockerId") REFERENCES "tasks" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "task_dependencies_blockerId_idx" ON "task_dependencies"("blockerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "task_dependencies_taskId_blockerId_key" ON "task_dependencies"("taskId", "blockerId");
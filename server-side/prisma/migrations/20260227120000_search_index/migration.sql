@@ -0,0 +1,52 @@
+-- Full-text search index over task lists and tasks.
+-- It is an FTS5 virtual table that Prisma cannot model, so it is only
+-- managed here and kept in sync with triggers.
+
+-- CreateTable
+CREATE VIRTUAL TABLE "search_index" USING fts5(
+    "entityType" UNINDEXED,
+    "entityId" UNINDEXED,
+    "taskListId" UNINDEXED,
+    "title",
+    "body",
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- Backfill
+INSERT INTO "search_index" ("entityType", "entityId", "taskListId", "title", "body")
+SELECT 'task_list', "id", "id", "title", '' FROM "task_lists";
+
+INSERT INTO "search_index" ("entityType", "entityId", "taskListId", "title", "body")
+SELECT 'task', "id", "taskListId", "title", COALESCE("description", '') FROM "tasks";
+
+-- CreateTrigger
+CREATE TRIGGER "search_index_task_lists_insert" AFTER INSERT ON "task_lists" BEGIN
+    INSERT INTO "search_index" ("entityType", "entityId", "taskListId", "title", "body")
+    VALUES ('task_list', NEW."id", NEW."id", NEW."title", '');
+END;
+
+CREATE TRIGGER "search_index_task_lists_update" AFTER UPDATE OF "title" ON "task_lists" BEGIN
+    DELETE FROM "search_index" WHERE "entityType" = 'task_list' AND "entityId" = OLD."id";
+    INSERT INTO "search_index" ("entityType", "entityId", "taskListId", "title", "body")
+    VALUES ('task_list', NEW."id", NEW."id", NEW."title", '');
+END;
+
+CREATE TRIGGER "search_index_task_lists_delete" AFTER DELETE ON "task_lists" BEGIN
+    DELETE FROM "search_index" WHERE "taskListId" = OLD."id";
+END;
+
+CREATE TRIGGER "search_index_tasks_insert" AFTER INSERT ON "tasks" BEGIN
+    INSERT INTO "search_index" ("entityType", "entityId", "taskListId", "title", "body")
+    VALUES ('task', NEW."id", NEW."taskListId", NEW."title", COALESCE(NEW."description", ''));
+END;
+
+CREATE TRIGGER "search_index_tasks_update" AFTER UPDATE OF "title", "description", "taskListId" ON "tasks" BEGIN
+    DELETE FROM "search_index" WHERE "entityType" = 'task' AND "entityId" = OLD."id";
+    INSERT INTO "search_index" ("entityType", "entityId", "taskListId", "title", "body")
+    VALUES ('task', NEW."id", NEW."taskListId", NEW."title", COALESCE(NEW."description", ''));
+END;
+
+CREATE TRIGGER "search_index_tasks_delete" AFTER DELETE ON "tasks" BEGIN
+    DELETE FROM "search_index" WHERE "entityType" = 'task' AND "entityId" = OLD."id";
+END;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "task_lists" ADD COLUMN "archivedAt" DATETIME;
+ALTER TABLE "task_lists" ADD COLUMN "deletedAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "deletedAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "task_lists_deletedAt_idx" ON "task_lists"("deletedAt");
+
+-- CreateIndex
+CREATE INDEX "tasks_deletedAt_idx" ON "tasks"("deletedAt");
+
+-- Tasks in the trash are taken out of the search index and put back on restore
+DROP TRIGGER "search_index_tasks_update";
+
+CREATE TRIGGER "search_index_tasks_update" AFTER UPDATE OF "title", "description", "taskListId", "deletedAt" ON "tasks" BEGIN
+    DELETE FROM "search_index" WHERE "entityType" = 'task' AND "entityId" = OLD."id";
+    INSERT INTO "search_index" ("entityType", "entityId", "taskListId", "title", "body")
+    SELECT 'task', NEW."id", NEW."taskListId", NEW."title", COALESCE(NEW."description", '')
+    WHERE NEW."deletedAt" IS NULL;
+END;
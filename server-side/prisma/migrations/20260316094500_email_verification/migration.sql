@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "emailVerifiedAt" DATETIME;
+
+-- Accounts created before verification existed are considered verified
+UPDATE "users" SET "emailVerifiedAt" = CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "email_verification_tokens" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "email_verification_tokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "email_verification_tokens_tokenHash_key" ON "email_verification_tokens"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "email_verification_tokens_userId_idx" ON "email_verification_tokens"("userId");
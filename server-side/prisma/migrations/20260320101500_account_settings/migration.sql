@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "name" TEXT;
+
+-- AlterTable
+ALTER TABLE "email_verification_tokens" ADD COLUMN "email" TEXT;
@@ -0,0 +1,22 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_comments" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "body" TEXT NOT NULL,
+    "taskId" TEXT NOT NULL,
+    "authorId" TEXT,
+    "parentId" TEXT,
+    "editedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "comments_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "comments_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "comments_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "comments" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_comments" ("id", "body", "taskId", "authorId", "parentId", "editedAt", "createdAt", "updatedAt") SELECT "id", "body", "taskId", "authorId", "parentId", "editedAt", "createdAt", "updatedAt" FROM "comments";
+DROP TABLE "comments";
+ALTER TABLE "new_comments" RENAME TO "comments";
+CREATE INDEX "comments_taskId_createdAt_idx" ON "comments"("taskId", "createdAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
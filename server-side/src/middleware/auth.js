@@ -1,9 +1,10 @@
 const { verifyToken } = require("../utils/jwt");
 const prisma = require("../utils/prisma");
+const { isSessionActive } = require("../utils/sessions");
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies the access token and its session and attaches user to request
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -27,20 +28,27 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, email: true, createdAt: true },
-    });
-
-    if (!user) {
+    // Get the session and its user from database, revoked sessions end right away
+    const session = decoded.sessionId
+      ? await prisma.session.findUnique({
+          where: { id: decoded.sessionId },
+          include: {
+            user: {
+              select: { id: true, email: true, name: true, emailVerifiedAt: true, createdAt: true },
+            },
+          },
+        })
+      : null;
+
+    if (!isSessionActive(session)) {
       return res.status(401).json({
-        error: "User not found. Please login again.",
+        error: "Session expired. Please login again.",
       });
     }
 
-    // Attach user to request
-    req.user = user;
+    // Attach user and session to request
+    req.user = session.user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     console.error("Authentication error:", error);
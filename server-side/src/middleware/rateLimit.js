@@ -0,0 +1,105 @@
+const { consumeRateLimit, formatWait } = require("../utils/rateLimit");
+
+// Window of the auth rate limits below
+const authWindowSeconds = Number(process.env.AUTH_RATE_LIMIT_WINDOW_SECONDS) || 15 * 60;
+const authMaxPerIp = Number(process.env.AUTH_RATE_LIMIT_PER_IP) || 100;
+const authMaxPerAccount = Number(process.env.AUTH_RATE_LIMIT_PER_ACCOUNT) || 10;
+
+/**
+ * Rate limiting middleware factory
+ * Allows `max` requests per `windowSeconds` for each key returned by
+ * `keyBy(req)` (e.g. the IP address or the email of the account), requests
+ * without a key are not limited. Answers 429 with a Retry-After header once
+ * the limit is exceeded.
+ */
+const rateLimit = ({ name, max, windowSeconds, keyBy }) => async (req, res, next) => {
+  try {
+    const key = keyBy(req);
+
+    if (!key) {
+      return next();
+    }
+
+    const retryAfter = await consumeRateLimit(`${name}:${key}`, {
+      max,
+      windowMs: windowSeconds * 1000,
+    });
+
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: `Too many requests. Please try again in ${formatWait(retryAfter)}.`,
+        retryAfter,
+      });
+    }
+
+    next();
+  } catch (error) {
+    // A failing store must not take the API down with it
+    console.error("Rate limit error:", error);
+    next();
+  }
+};
+
+/**
+ * Key requests by client IP address
+ */
+const byIp = (req) => req.ip;
+
+/**
+ * Key requests by the email in the body, lowercased
+ */
+const byEmail = (req) =>
+  typeof req.body.email === "string" && req.body.email ? req.body.email.toLowerCase() : null;
+
+/**
+ * Key requests by the signed-in user
+ */
+const byUser = (req) => req.user?.id;
+
+// Auth requests per client IP, shared by the auth and account routes
+const limitByIp = rateLimit({
+  name: "auth-ip",
+  max: authMaxPerIp,
+  windowSeconds: authWindowSeconds,
+  keyBy: byIp,
+});
+
+// Auth requests per email address, wherever they come from
+const limitByAccount = rateLimit({
+  name: "auth-account",
+  max: authMaxPerAccount,
+  windowSeconds: authWindowSeconds,
+  keyBy: byEmail,
+});
+
+// Password checks made with a signed-in session, per user
+const limitByUser = rateLimit({
+  name: "account-password",
+  max: authMaxPerAccount,
+  windowSeconds: authWindowSeconds,
+  keyBy: byUser,
+});
+
+/**
+ * Answer a request for an account locked after failed sign-ins
+ */
+const sendLockout = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: `Too many failed sign-in attempts. Please try again in ${formatWait(retryAfter)}.`,
+    retryAfter,
+    locked: true,
+  });
+};
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byEmail,
+  byUser,
+  limitByIp,
+  limitByAccount,
+  limitByUser,
+  sendLockout,
+};
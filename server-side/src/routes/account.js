@@ -0,0 +1,422 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { hashPassword, comparePassword } = require('../utils/password');
+const { revokeUserSessions } = require('../utils/sessions');
+const { sendVerificationEmail, getPendingEmail, getResendWaitSeconds } = require('../utils/verification');
+const { recordActivity } = require('../utils/activity');
+const { purgeTrash } = require('../utils/trash');
+const { deleteAttachmentFiles } = require('../utils/attachments');
+const { getLoginLockoutSeconds, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimit');
+const { limitByIp, limitByUser, sendLockout } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Routes checking the password are limited like sign-ins, so a stolen
+// access token cannot be used to guess it
+const limitPasswordChecks = [limitByIp, limitByUser];
+
+/**
+ * Helper function to check the password of the current user. Wrong passwords
+ * count as failed sign-ins and lock the account the same way.
+ * Returns { valid, lockedFor } with the seconds the account is locked.
+ */
+async function checkPassword(user, password) {
+  const lockedFor = await getLoginLockoutSeconds(user.email);
+  if (lockedFor > 0) {
+    return { valid: false, lockedFor };
+  }
+
+  const { password: hashedPassword } = await prisma.user.findUnique({
+    where: { id: user.id },
+    select: { password: true }
+  });
+
+  if (await comparePassword(password, hashedPassword)) {
+    await clearLoginFailures(user.email);
+    return { valid: true, lockedFor: 0 };
+  }
+
+  return { valid: false, lockedFor: await recordLoginFailure(user.email) };
+}
+
+/**
+ * GET /api/auth/me
+ * Get the profile of the current user
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      user: {
+        ...req.user,
+        pendingEmail: await getPendingEmail(req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch profile' 
+    });
+  }
+});
+
+/**
+ * PATCH /api/auth/me
+ * Update the display name of the current user, an empty name removes it
+ */
+router.patch(
+  '/',
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Name must be at most 100 characters long'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await prisma.user.update({
+        where: { id: req.user.id },
+        data: { name: req.body.name || null },
+        select: { id: true, email: true, name: true, emailVerifiedAt: true, createdAt: true }
+      });
+
+      res.json({
+        message: 'Profile updated successfully',
+        user
+      });
+    } catch (error) {
+      console.error('Update profile error:', error);
+      res.status(500).json({ 
+        error: 'Failed to update profile' 
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/me/password
+ * Change the password of the current user, signing out their other sessions
+ */
+router.put(
+  '/password',
+  [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  limitPasswordChecks,
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+
+      const { valid, lockedFor } = await checkPassword(req.user, currentPassword);
+
+      if (lockedFor > 0) {
+        return sendLockout(res, lockedFor);
+      }
+
+      if (!valid) {
+        return res.status(400).json({ 
+          error: 'Current password is incorrect' 
+        });
+      }
+
+      const hashedPassword = await hashPassword(newPassword);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id: req.user.id },
+          data: { password: hashedPassword }
+        });
+
+        await revokeUserSessions(req.user.id, tx, req.sessionId);
+      });
+
+      res.json({
+        message: 'Password changed successfully. Your other sessions were signed out.'
+      });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ 
+        error: 'Failed to change password' 
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/me/email
+ * Change the email of the current user. A link is sent to the new address
+ * and the change only applies once it is opened.
+ */
+router.put(
+  '/email',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+  ],
+  limitPasswordChecks,
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, password } = req.body;
+
+      const { valid, lockedFor } = await checkPassword(req.user, password);
+
+      if (lockedFor > 0) {
+        return sendLockout(res, lockedFor);
+      }
+
+      if (!valid) {
+        return res.status(400).json({ 
+          error: 'Password is incorrect' 
+        });
+      }
+
+      if (email === req.user.email) {
+        return res.status(400).json({ 
+          error: 'This is already your email address' 
+        });
+      }
+
+      const existingUser = await prisma.user.findUnique({
+        where: { email }
+      });
+
+      if (existingUser) {
+        return res.status(400).json({ 
+          error: 'User with this email already exists' 
+        });
+      }
+
+      const waitSeconds = await getResendWaitSeconds(req.user.id);
+
+      if (waitSeconds > 0) {
+        res.set('Retry-After', String(waitSeconds));
+        return res.status(429).json({ 
+          error: `Please wait ${waitSeconds} seconds before requesting another email`, 
+          retryAfter: waitSeconds 
+        });
+      }
+
+      await sendVerificationEmail(req.user, email);
+
+      res.json({
+        message: `A confirmation link has been sent to ${email}`,
+        pendingEmail: email
+      });
+    } catch (error) {
+      console.error('Change email error:', error);
+      res.status(500).json({ 
+        error: 'Failed to change email' 
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/me/task-lists
+ * Get the task lists the current user owns with their collaborators, who
+ * the lists can be handed over to when deleting the account
+ */
+router.get('/task-lists', async (req, res) => {
+  try {
+    const taskLists = await prisma.taskList.findMany({
+      where: { ownerId: req.user.id, deletedAt: null },
+      select: {
+        id: true,
+        title: true,
+        archivedAt: true,
+        shares: {
+          select: {
+            permission: true,
+            user: {
+              select: { id: true, email: true, name: true }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      taskLists: taskLists.map(({ shares, ...taskList }) => ({
+        ...taskList,
+        collaborators: shares.map(share => ({
+          ...share.user,
+          permission: share.permission
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get owned task lists error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch task lists' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Delete the account of the current user. `transferTo` maps task list ids to
+ * the collaborator who becomes their owner; the other lists the user owns,
+ * including those in the trash, are deleted with the account.
+ */
+router.delete(
+  '/',
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('transferTo')
+      .optional()
+      .isObject()
+      .withMessage('transferTo must map task list ids to user ids'),
+  ],
+  limitPasswordChecks,
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.id;
+      const transferTo = req.body.transferTo || {};
+
+      const { valid, lockedFor } = await checkPassword(req.user, req.body.password);
+
+      if (lockedFor > 0) {
+        return sendLockout(res, lockedFor);
+      }
+
+      if (!valid) {
+        return res.status(400).json({ 
+          error: 'Password is incorrect' 
+        });
+      }
+
+      const ownedTaskLists = await prisma.taskList.findMany({
+        where: { ownerId: userId },
+        include: {
+          shares: {
+            include: {
+              user: {
+                select: { id: true, email: true }
+              }
+            }
+          }
+        }
+      });
+
+      // Lists can only be handed over to someone they are already shared with
+      const transfers = [];
+      for (const [taskListId, newOwnerId] of Object.entries(transferTo)) {
+        const taskList = ownedTaskLists.find(list => list.id === taskListId && !list.deletedAt);
+
+        if (!taskList) {
+          return res.status(400).json({ 
+            error: 'You can only transfer task lists you own' 
+          });
+        }
+
+        const share = taskList.shares.find(s => s.userId === newOwnerId);
+
+        if (!share) {
+          return res.status(400).json({ 
+            error: `"${taskList.title}" can only be transferred to one of its collaborators` 
+          });
+        }
+
+        transfers.push({ taskList, share });
+      }
+
+      const deletedTaskListIds = ownedTaskLists
+        .filter(taskList => !transfers.some(transfer => transfer.taskList.id === taskList.id))
+        .map(taskList => taskList.id);
+
+      // All or nothing, so a failure never leaves an account without its lists
+      const attachmentKeys = await prisma.$transaction(async (tx) => {
+        // The new owner no longer needs a share
+        for (const { taskList, share } of transfers) {
+          await tx.taskListShare.delete({ where: { id: share.id } });
+          await tx.taskList.update({
+            where: { id: taskList.id },
+            data: { ownerId: share.userId }
+          });
+        }
+
+        // Goes through the trash purge so attachment files can be removed too
+        const keys = await purgeTrash({ taskListIds: deletedTaskListIds }, tx);
+
+        // Sessions, shares, assignments, views and templates go with the user,
+        // comments stay without an author
+        await tx.user.delete({
+          where: { id: userId }
+        });
+
+        return keys;
+      });
+
+      // Files are only removed once the rows are gone for good
+      await deleteAttachmentFiles(attachmentKeys);
+
+      // Logged without an actor, the user no longer exists
+      for (const { taskList, share } of transfers) {
+        await recordActivity({
+          taskListId: taskList.id,
+          actorId: null,
+          action: 'task_list.transferred',
+          entityType: 'task_list',
+          entityId: taskList.id,
+          entityTitle: share.user.email
+        });
+      }
+
+      res.json({
+        message: 'Account deleted successfully',
+        transferredTaskLists: transfers.length,
+        deletedTaskLists: deletedTaskListIds.length
+      });
+    } catch (error) {
+      console.error('Delete account error:', error);
+      res.status(500).json({ 
+        error: 'Failed to delete account' 
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const express = require('express');
+const crypto = require('crypto');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+const { findTaskInList } = require('../utils/tasks');
+const { getStorage } = require('../utils/storage');
+const { parseAttachmentUpload, deleteAttachmentFiles } = require('../utils/attachments');
+const { recordActivity } = require('../utils/activity');
+
+// Mounted under /api/tasks/:taskListId/:taskId/attachments
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+const uploaderSelect = {
+  select: { id: true, email: true }
+};
+
+/**
+ * GET /api/tasks/:taskListId/:taskId/attachments
+ * Get the attachments of a task
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { taskListId, taskId } = req.params;
+    const userId = req.user.id;
+
+    // Check access
+    const { hasAccess } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    const attachments = await prisma.attachment.findMany({
+      where: { taskId },
+      include: { uploader: uploaderSelect },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      attachments
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch attachments' 
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:taskListId/:taskId/attachments
+ * Upload a file to a task (multipart/form-data with a "file" field)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { taskListId, taskId } = req.params;
+    const userId = req.user.id;
+
+    // Check access - need edit permission
+    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    if (permission === 'view') {
+      return res.status(403).json({ 
+        error: 'You need edit permission to add attachments' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    // Parse the upload only once the user is known to be allowed to add it
+    let file;
+    try {
+      file = await parseAttachmentUpload(req, res);
+    } catch (error) {
+      return res.status(error.status || 400).json({ 
+        error: error.message 
+      });
+    }
+
+    if (!file) {
+      return res.status(400).json({ 
+        error: 'A file is required' 
+      });
+    }
+
+    const storageKey = `${taskId}/${crypto.randomUUID()}`;
+    await getStorage().save(storageKey, file.buffer);
+
+    let attachment;
+    try {
+      attachment = await prisma.attachment.create({
+        data: {
+          taskId,
+          uploaderId: userId,
+          fileName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          storageKey
+        },
+        include: { uploader: uploaderSelect }
+      });
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await deleteAttachmentFiles([storageKey]);
+      throw error;
+    }
+
+    await recordActivity({
+      taskListId,
+      actorId: userId,
+      action: 'attachment.added',
+      entityType: 'attachment',
+      entityId: attachment.id,
+      entityTitle: attachment.fileName
+    });
+
+    res.status(201).json({
+      message: 'Attachment uploaded successfully',
+      attachment
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload attachment' 
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:taskListId/:taskId/attachments/:attachmentId/download
+ * Download an attachment (anyone with access to the list)
+ */
+router.get('/:attachmentId/download', async (req, res) => {
+  try {
+    const { taskListId, taskId, attachmentId } = req.params;
+    const userId = req.user.id;
+
+    // Check access
+    const { hasAccess } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    const attachment = await prisma.attachment.findUnique({
+      where: { id: attachmentId }
+    });
+
+    if (!attachment || attachment.taskId !== taskId) {
+      return res.status(404).json({ 
+        error: 'Attachment not found' 
+      });
+    }
+
+    const stream = getStorage().read(attachment.storageKey);
+
+    stream.on('error', (error) => {
+      console.error('Download attachment error:', error);
+      if (!res.headersSent) {
+        res.status(404).json({ 
+          error: 'Attachment file not found' 
+        });
+      } else {
+        res.destroy();
+      }
+    });
+
+    res.attachment(attachment.fileName);
+    res.type(attachment.mimeType);
+    res.set('Content-Length', String(attachment.size));
+    res.set('X-Content-Type-Options', 'nosniff');
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to download attachment' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:taskListId/:taskId/attachments/:attachmentId
+ * Delete an attachment and its stored file
+ */
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const { taskListId, taskId, attachmentId } = req.params;
+    const userId = req.user.id;
+
+    // Check access - need edit permission
+    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    if (permission === 'view') {
+      return res.status(403).json({ 
+        error: 'You need edit permission to delete attachments' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    const attachment = await prisma.attachment.findUnique({
+      where: { id: attachmentId }
+    });
+
+    if (!attachment || attachment.taskId !== taskId) {
+      return res.status(404).json({ 
+        error: 'Attachment not found' 
+      });
+    }
+
+    await prisma.attachment.delete({
+      where: { id: attachmentId }
+    });
+
+    await deleteAttachmentFiles([attachment.storageKey]);
+
+    await recordActivity({
+      taskListId,
+      actorId: userId,
+      action: 'attachment.deleted',
+      entityType: 'attachment',
+      entityId: attachmentId,
+      entityTitle: attachment.fileName
+    });
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete attachment' 
+    });
+  }
+});
+
+module.exports = router;
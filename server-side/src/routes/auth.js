@@ -1,11 +1,27 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { hashPassword, comparePassword } = require('../utils/password');
-const { generateToken } = require('../utils/jwt');
+const { createSession, refreshSession, revokeSession, revokeUserSessions, findSessionByRefreshToken } = require('../utils/sessions');
+const { createOpaqueToken, hashToken } = require('../utils/tokens');
+const { sendMail, getAppUrl } = require('../utils/mail');
+const {
+  isVerificationRequiredToLogin,
+  sendVerificationEmail,
+  getResendWaitSeconds,
+  verifyEmailToken
+} = require('../utils/verification');
+const { getLoginLockoutSeconds, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimit');
+const { limitByIp, limitByAccount, sendLockout } = require('../middleware/rateLimit');
 const prisma = require('../utils/prisma');
 
 const router = express.Router();
 
+// How long a password reset link stays valid
+const passwordResetExpiresMinutes = Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Every auth route is limited per client IP, routes taking an email also per account
+router.use(limitByIp);
+
 /**
  * POST /api/auth/register
  * Register a new user
@@ -21,6 +37,7 @@ router.post(
       .isLength({ min: 6 })
       .withMessage('Password must be at least 6 characters long'),
   ],
+  limitByAccount,
   async (req, res) => {
     try {
       // Validate request
@@ -54,17 +71,35 @@ router.post(
         select: {
           id: true,
           email: true,
+          name: true,
+          emailVerifiedAt: true,
           createdAt: true,
         }
       });
 
-      // Generate token
-      const token = generateToken(user.id);
+      // A failed email can be sent again with /resend-verification
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+
+      if (isVerificationRequiredToLogin()) {
+        return res.status(201).json({
+          message: 'User registered successfully. Please verify your email address before signing in.',
+          user,
+          verificationRequired: true,
+        });
+      }
+
+      // Start a session
+      const { token, refreshToken } = await createSession(user.id, req.get('user-agent'));
 
       res.status(201).json({
         message: 'User registered successfully',
         user,
         token,
+        refreshToken,
       });
     } catch (error) {
       console.error('Registration error:', error);
@@ -90,6 +125,7 @@ router.post(
       .notEmpty()
       .withMessage('Password is required'),
   ],
+  limitByAccount,
   async (req, res) => {
     try {
       // Validate request
@@ -100,37 +136,55 @@ router.post(
 
       const { email, password } = req.body;
 
+      // Locked accounts are refused before checking the password
+      const lockoutSeconds = await getLoginLockoutSeconds(email);
+      if (lockoutSeconds > 0) {
+        return sendLockout(res, lockoutSeconds);
+      }
+
       // Find user
       const user = await prisma.user.findUnique({
         where: { email }
       });
 
-      if (!user) {
+      // Verify password
+      const isValidPassword = user && await comparePassword(password, user.password);
+
+      // Unknown emails count as failures too, so lockouts do not reveal accounts
+      if (!isValidPassword) {
+        const lockedFor = await recordLoginFailure(email);
+        if (lockedFor > 0) {
+          return sendLockout(res, lockedFor);
+        }
+
         return res.status(401).json({ 
           error: 'Invalid email or password' 
         });
       }
 
-      // Verify password
-      const isValidPassword = await comparePassword(password, user.password);
+      await clearLoginFailures(email);
 
-      if (!isValidPassword) {
-        return res.status(401).json({ 
-          error: 'Invalid email or password' 
+      if (!user.emailVerifiedAt && isVerificationRequiredToLogin()) {
+        return res.status(403).json({ 
+          error: 'Please verify your email address before signing in', 
+          verificationRequired: true 
         });
       }
 
-      // Generate token
-      const token = generateToken(user.id);
+      // Start a session
+      const { token, refreshToken } = await createSession(user.id, req.get('user-agent'));
 
       res.json({
         message: 'Login successful',
         user: {
           id: user.id,
           email: user.email,
+          name: user.name,
+          emailVerifiedAt: user.emailVerifiedAt,
           createdAt: user.createdAt,
         },
         token,
+        refreshToken,
       });
     } catch (error) {
       console.error('Login error:', error);
@@ -141,4 +195,338 @@ router.post(
   }
 );
 
+const refreshTokenValidator = () => body('refreshToken')
+  .isString()
+  .notEmpty()
+  .withMessage('Refresh token is required');
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post(
+  '/refresh',
+  [refreshTokenValidator()],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, refreshToken } = await refreshSession(req.body.refreshToken);
+
+      res.json({
+        message: 'Token refreshed successfully',
+        token,
+        refreshToken,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ 
+          error: error.message 
+        });
+      }
+
+      console.error('Refresh token error:', error);
+      res.status(500).json({ 
+        error: 'Failed to refresh token' 
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the session of a refresh token, ending its access and refresh tokens
+ */
+router.post(
+  '/logout',
+  [refreshTokenValidator()],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Logging out of an unknown or ended session succeeds too
+      const sessionId = await findSessionByRefreshToken(req.body.refreshToken);
+
+      if (sessionId) {
+        await revokeSession(sessionId);
+      }
+
+      res.json({
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ 
+        error: 'Failed to logout' 
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/verify-email
+ * Verify the email address of a user with the token of a verification link
+ */
+router.post(
+  '/verify-email',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let user;
+      try {
+        user = await verifyEmailToken(req.body.token);
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+
+        return res.status(error.status).json({ 
+          error: error.message 
+        });
+      }
+
+      if (!user) {
+        return res.status(400).json({ 
+          error: 'This verification link is invalid or has expired' 
+        });
+      }
+
+      res.json({
+        message: 'Email verified successfully',
+        user
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ 
+        error: 'Failed to verify email' 
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Email a new verification link, at most once per
+ * EMAIL_VERIFICATION_RESEND_SECONDS for the same user
+ */
+router.post(
+  '/resend-verification',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+  ],
+  limitByAccount,
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { email: req.body.email },
+        select: { id: true, email: true, emailVerifiedAt: true }
+      });
+
+      if (user && !user.emailVerifiedAt) {
+        const waitSeconds = await getResendWaitSeconds(user.id);
+
+        if (waitSeconds > 0) {
+          res.set('Retry-After', String(waitSeconds));
+          return res.status(429).json({ 
+            error: `Please wait ${waitSeconds} seconds before requesting another email`, 
+            retryAfter: waitSeconds 
+          });
+        }
+
+        await sendVerificationEmail(user);
+      }
+
+      res.json({
+        message: 'If this email needs to be verified, a new link has been sent'
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({ 
+        error: 'Failed to send verification email' 
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link. The answer is the same whether or not an
+ * account exists, so it cannot be used to find registered emails.
+ */
+router.post(
+  '/forgot-password',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+  ],
+  limitByAccount,
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { email: req.body.email }
+      });
+
+      if (user) {
+        const token = createOpaqueToken();
+
+        // Only the latest link works
+        await prisma.$transaction([
+          prisma.passwordResetToken.deleteMany({
+            where: { userId: user.id }
+          }),
+          prisma.passwordResetToken.create({
+            data: {
+              userId: user.id,
+              tokenHash: hashToken(token),
+              expiresAt: new Date(Date.now() + passwordResetExpiresMinutes * 60 * 1000)
+            }
+          })
+        ]);
+
+        try {
+          await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: [
+              'Someone asked to reset the password of your Task Manager account.',
+              '',
+              `Open this link within ${passwordResetExpiresMinutes} minutes to choose a new password:`,
+              getAppUrl({ resetToken: token }),
+              '',
+              'If this was not you, you can ignore this email.'
+            ].join('\n')
+          });
+        } catch (error) {
+          console.error('Password reset email error:', error);
+        }
+      }
+
+      res.json({
+        message: 'If an account exists for this email, a reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ 
+        error: 'Failed to request a password reset' 
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token of a reset link. Signs the user out
+ * everywhere.
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password } = req.body;
+
+      const resetToken = await prisma.passwordResetToken.findUnique({
+        where: { tokenHash: hashToken(token) }
+      });
+
+      if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+        return res.status(400).json({ 
+          error: 'This reset link is invalid or has expired' 
+        });
+      }
+
+      const hashedPassword = await hashPassword(password);
+
+      const reset = await prisma.$transaction(async (tx) => {
+        // Only one request can use the token
+        const { count } = await tx.passwordResetToken.updateMany({
+          where: { id: resetToken.id, usedAt: null },
+          data: { usedAt: new Date() }
+        });
+
+        if (count === 0) {
+          return false;
+        }
+
+        const user = await tx.user.update({
+          where: { id: resetToken.userId },
+          data: { password: hashedPassword },
+          select: { email: true }
+        });
+
+        await revokeUserSessions(resetToken.userId, tx);
+
+        // The new password must not be refused by a lockout the old one caused
+        await clearLoginFailures(user.email);
+        return true;
+      });
+
+      if (!reset) {
+        return res.status(400).json({ 
+          error: 'This reset link is invalid or has expired' 
+        });
+      }
+
+      res.json({
+        message: 'Password reset successfully. Please sign in with your new password.'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ 
+        error: 'Failed to reset password' 
+      });
+    }
+  }
+);
+
 module.exports = router;
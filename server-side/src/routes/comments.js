@@ -0,0 +1,354 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+const { findTaskInList } = require('../utils/tasks');
+
+// Mounted under /api/tasks/:taskListId/:taskId/comments
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+const authorSelect = {
+  select: { id: true, email: true }
+};
+
+/**
+ * GET /api/tasks/:taskListId/:taskId/comments
+ * Get the comment thread of a task (top-level comments are paginated,
+ * replies are always included with their parent)
+ */
+router.get(
+  '/',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, taskId } = req.params;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const userId = req.user.id;
+
+      // Check access - view permission is enough to read comments
+      const { hasAccess } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      const task = await findTaskInList(taskListId, taskId);
+
+      if (!task) {
+        return res.status(404).json({ 
+          error: 'Task not found' 
+        });
+      }
+
+      const where = { taskId, parentId: null };
+
+      const [total, comments] = await Promise.all([
+        prisma.comment.count({ where }),
+        prisma.comment.findMany({
+          where,
+          include: {
+            author: authorSelect,
+            replies: {
+              include: { author: authorSelect },
+              orderBy: { createdAt: 'asc' }
+            }
+          },
+          orderBy: { createdAt: 'asc' },
+          skip: (page - 1) * limit,
+          take: limit
+        })
+      ]);
+
+      res.json({
+        comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get comments error:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch comments' 
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/tasks/:taskListId/:taskId/comments
+ * Add a comment or a reply to a task
+ */
+router.post(
+  '/',
+  [
+    body('body')
+      .trim()
+      .notEmpty()
+      .withMessage('Comment cannot be empty')
+      .isLength({ max: 2000 })
+      .withMessage('Comment must be less than 2000 characters'),
+    body('parentId')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('parentId must be a comment ID'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, taskId } = req.params;
+      const { body: commentBody, parentId } = req.body;
+      const userId = req.user.id;
+
+      // Check access - anyone with access (including view) can comment
+      const { hasAccess, isArchived } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (isArchived) {
+        return res.status(403).json({ 
+          error: 'This task list is archived and read-only' 
+        });
+      }
+
+      const task = await findTaskInList(taskListId, taskId);
+
+      if (!task) {
+        return res.status(404).json({ 
+          error: 'Task not found' 
+        });
+      }
+
+      // Replies always hang off the top-level comment of the thread
+      let threadId = null;
+      if (parentId) {
+        const parent = await prisma.comment.findUnique({
+          where: { id: parentId }
+        });
+
+        if (!parent || parent.taskId !== taskId) {
+          return res.status(404).json({ 
+            error: 'Parent comment not found' 
+          });
+        }
+
+        threadId = parent.parentId || parent.id;
+      }
+
+      const comment = await prisma.comment.create({
+        data: {
+          body: commentBody,
+          taskId,
+          authorId: userId,
+          parentId: threadId,
+        },
+        include: {
+          author: authorSelect,
+          replies: true
+        }
+      });
+
+      res.status(201).json({
+        message: 'Comment added successfully',
+        comment
+      });
+    } catch (error) {
+      console.error('Create comment error:', error);
+      res.status(500).json({ 
+        error: 'Failed to add comment' 
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/tasks/:taskListId/:taskId/comments/:commentId
+ * Edit a comment (author only)
+ */
+router.put(
+  '/:commentId',
+  [
+    body('body')
+      .trim()
+      .notEmpty()
+      .withMessage('Comment cannot be empty')
+      .isLength({ max: 2000 })
+      .withMessage('Comment must be less than 2000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, taskId, commentId } = req.params;
+      const { body: commentBody } = req.body;
+      const userId = req.user.id;
+
+      // Check access
+      const { hasAccess, isArchived } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (isArchived) {
+        return res.status(403).json({ 
+          error: 'This task list is archived and read-only' 
+        });
+      }
+
+      const task = await findTaskInList(taskListId, taskId);
+
+      if (!task) {
+        return res.status(404).json({ 
+          error: 'Task not found' 
+        });
+      }
+
+      // Check if comment exists and belongs to the task
+      const comment = await prisma.comment.findUnique({
+        where: { id: commentId }
+      });
+
+      if (!comment || comment.taskId !== taskId) {
+        return res.status(404).json({ 
+          error: 'Comment not found' 
+        });
+      }
+
+      if (comment.authorId !== userId) {
+        return res.status(403).json({ 
+          error: 'You can only edit your own comments' 
+        });
+      }
+
+      const updatedComment = await prisma.comment.update({
+        where: { id: commentId },
+        data: {
+          body: commentBody,
+          editedAt: new Date()
+        },
+        include: {
+          author: authorSelect
+        }
+      });
+
+      res.json({
+        message: 'Comment updated successfully',
+        comment: updatedComment
+      });
+    } catch (error) {
+      console.error('Update comment error:', error);
+      res.status(500).json({ 
+        error: 'Failed to update comment' 
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/tasks/:taskListId/:taskId/comments/:commentId
+ * Delete a comment and its replies (author or list owner)
+ */
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const { taskListId, taskId, commentId } = req.params;
+    const userId = req.user.id;
+
+    // Check access
+    const { hasAccess, isOwner, isArchived } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    if (isArchived) {
+      return res.status(403).json({ 
+        error: 'This task list is archived and read-only' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    // Check if comment exists and belongs to the task
+    const comment = await prisma.comment.findUnique({
+      where: { id: commentId }
+    });
+
+    if (!comment || comment.taskId !== taskId) {
+      return res.status(404).json({ 
+        error: 'Comment not found' 
+      });
+    }
+
+    if (comment.authorId !== userId && !isOwner) {
+      return res.status(403).json({ 
+        error: 'Only the author or the list owner can delete this comment' 
+      });
+    }
+
+    // Delete comment (cascade will delete replies)
+    await prisma.comment.delete({
+      where: { id: commentId }
+    });
+
+    res.json({
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete comment' 
+    });
+  }
+});
+
+module.exports = router;
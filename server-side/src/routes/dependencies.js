@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+const { findTaskInList, activeTaskWhere } = require('../utils/tasks');
+const { createsDependencyCycle, hideInaccessibleTasks } = require('../utils/dependencies');
+
+// Mounted under /api/tasks/:taskListId/:taskId/dependencies
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+const linkedTaskSelect = {
+  select: {
+    id: true,
+    title: true,
+    status: true,
+    taskListId: true,
+    taskList: {
+      select: { title: true }
+    }
+  }
+};
+
+/**
+ * GET /api/tasks/:taskListId/:taskId/dependencies
+ * Get the tasks blocking this task and the tasks this task is blocking
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { taskListId, taskId } = req.params;
+    const userId = req.user.id;
+
+    // Check access
+    const { hasAccess } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    // Linked tasks in the trash are left out
+    const [blockedBy, blocking] = await Promise.all([
+      prisma.task.findMany({
+        where: { blocking: { some: { taskId } }, ...activeTaskWhere },
+        ...linkedTaskSelect,
+        orderBy: { title: 'asc' }
+      }),
+      prisma.task.findMany({
+        where: { blockedBy: { some: { blockerId: taskId } }, ...activeTaskWhere },
+        ...linkedTaskSelect,
+        orderBy: { title: 'asc' }
+      })
+    ]);
+
+    res.json({
+      blockedBy: await hideInaccessibleTasks(blockedBy, userId),
+      blocking: await hideInaccessibleTasks(blocking, userId)
+    });
+  } catch (error) {
+    console.error('Get dependencies error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch dependencies' 
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:taskListId/:taskId/dependencies
+ * Mark this task as blocked by another task from any list the user can access
+ */
+router.post(
+  '/',
+  [
+    body('blockerId')
+      .isString()
+      .notEmpty()
+      .withMessage('blockerId is required'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, taskId } = req.params;
+      const { blockerId } = req.body;
+      const userId = req.user.id;
+
+      // Check access - need edit permission on the blocked task
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: 'You need edit permission to manage dependencies' 
+        });
+      }
+
+      const task = await findTaskInList(taskListId, taskId);
+
+      if (!task) {
+        return res.status(404).json({ 
+          error: 'Task not found' 
+        });
+      }
+
+      if (blockerId === taskId) {
+        return res.status(400).json({ 
+          error: 'A task cannot block itself' 
+        });
+      }
+
+      // The blocker may live in any list the user can access
+      const blocker = await prisma.task.findUnique({
+        where: { id: blockerId }
+      });
+
+      const blockerAccess = blocker && !blocker.deletedAt
+        ? await getUserPermission(blocker.taskListId, userId)
+        : { hasAccess: false };
+
+      if (!blockerAccess.hasAccess) {
+        return res.status(404).json({ 
+          error: 'Blocking task not found' 
+        });
+      }
+
+      const existingDependency = await prisma.taskDependency.findUnique({
+        where: { taskId_blockerId: { taskId, blockerId } }
+      });
+
+      if (existingDependency) {
+        return res.status(409).json({ 
+          error: 'This dependency already exists' 
+        });
+      }
+
+      if (await createsDependencyCycle(taskId, blockerId)) {
+        return res.status(400).json({ 
+          error: 'This dependency would create a cycle' 
+        });
+      }
+
+      const dependency = await prisma.taskDependency.create({
+        data: { taskId, blockerId },
+        include: { blocker: linkedTaskSelect }
+      });
+
+      res.status(201).json({
+        message: 'Dependency added successfully',
+        dependency
+      });
+    } catch (error) {
+      console.error('Create dependency error:', error);
+      res.status(500).json({ 
+        error: 'Failed to add dependency' 
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/tasks/:taskListId/:taskId/dependencies/:blockerId
+ * Remove a blocker from this task
+ */
+router.delete('/:blockerId', async (req, res) => {
+  try {
+    const { taskListId, taskId, blockerId } = req.params;
+    const userId = req.user.id;
+
+    // Check access - need edit permission on the blocked task
+    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    if (permission === 'view') {
+      return res.status(403).json({ 
+        error: 'You need edit permission to manage dependencies' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    const dependency = await prisma.taskDependency.findUnique({
+      where: { taskId_blockerId: { taskId, blockerId } }
+    });
+
+    if (!dependency) {
+      return res.status(404).json({ 
+        error: 'Dependency not found' 
+      });
+    }
+
+    await prisma.taskDependency.delete({
+      where: { id: dependency.id }
+    });
+
+    res.json({
+      message: 'Dependency removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete dependency error:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove dependency' 
+    });
+  }
+});
+
+module.exports = router;
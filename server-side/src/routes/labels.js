@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+
+// Mounted under /api/tasklists/:taskListId/labels
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/tasklists/:taskListId/labels
+ * Get all labels of a task list
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { taskListId } = req.params;
+    const userId = req.user.id;
+
+    // Check access
+    const { hasAccess } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    const labels = await prisma.label.findMany({
+      where: { taskListId },
+      include: {
+        _count: {
+          select: { tasks: { where: { deletedAt: null } } }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      labels
+    });
+  } catch (error) {
+    console.error('Get labels error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch labels' 
+    });
+  }
+});
+
+/**
+ * POST /api/tasklists/:taskListId/labels
+ * Create a label in a task list
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 50 })
+      .withMessage('Name must be less than 50 characters'),
+    body('color')
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Color must be a hex color like #6366f1'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId } = req.params;
+      const { name, color } = req.body;
+      const userId = req.user.id;
+
+      // Check access - need edit permission
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: 'You need edit permission to manage labels' 
+        });
+      }
+
+      // Check if a label with this name already exists
+      const existingLabel = await prisma.label.findUnique({
+        where: {
+          taskListId_name: { taskListId, name }
+        }
+      });
+
+      if (existingLabel) {
+        return res.status(400).json({ 
+          error: 'A label with this name already exists in this task list' 
+        });
+      }
+
+      const label = await prisma.label.create({
+        data: {
+          name,
+          color: color.toLowerCase(),
+          taskListId,
+        }
+      });
+
+      res.status(201).json({
+        message: 'Label created successfully',
+        label
+      });
+    } catch (error) {
+      console.error('Create label error:', error);
+      res.status(500).json({ 
+        error: 'Failed to create label' 
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/tasklists/:taskListId/labels/:labelId
+ * Rename or recolor a label
+ */
+router.put(
+  '/:labelId',
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Name cannot be empty')
+      .isLength({ max: 50 })
+      .withMessage('Name must be less than 50 characters'),
+    body('color')
+      .optional()
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Color must be a hex color like #6366f1'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, labelId } = req.params;
+      const { name, color } = req.body;
+      const userId = req.user.id;
+
+      // Check access - need edit permission
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: 'You need edit permission to manage labels' 
+        });
+      }
+
+      // Check if label exists and belongs to the task list
+      const label = await prisma.label.findUnique({
+        where: { id: labelId }
+      });
+
+      if (!label || label.taskListId !== taskListId) {
+        return res.status(404).json({ 
+          error: 'Label not found' 
+        });
+      }
+
+      if (name !== undefined && name !== label.name) {
+        const existingLabel = await prisma.label.findUnique({
+          where: {
+            taskListId_name: { taskListId, name }
+          }
+        });
+
+        if (existingLabel) {
+          return res.status(400).json({ 
+            error: 'A label with this name already exists in this task list' 
+          });
+        }
+      }
+
+      // Build update data
+      const updateData = {};
+      if (name !== undefined) updateData.name = name;
+      if (color !== undefined) updateData.color = color.toLowerCase();
+
+      const updatedLabel = await prisma.label.update({
+        where: { id: labelId },
+        data: updateData
+      });
+
+      res.json({
+        message: 'Label updated successfully',
+        label: updatedLabel
+      });
+    } catch (error) {
+      console.error('Update label error:', error);
+      res.status(500).json({ 
+        error: 'Failed to update label' 
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/tasklists/:taskListId/labels/:labelId
+ * Delete a label (it is removed from all tasks)
+ */
+router.delete('/:labelId', async (req, res) => {
+  try {
+    const { taskListId, labelId } = req.params;
+    const userId = req.user.id;
+
+    // Check access - need edit permission
+    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    if (permission === 'view') {
+      return res.status(403).json({ 
+        error: 'You need edit permission to manage labels' 
+      });
+    }
+
+    // Check if label exists and belongs to the task list
+    const label = await prisma.label.findUnique({
+      where: { id: labelId }
+    });
+
+    if (!label || label.taskListId !== taskListId) {
+      return res.status(404).json({ 
+        error: 'Label not found' 
+      });
+    }
+
+    await prisma.label.delete({
+      where: { id: labelId }
+    });
+
+    res.json({
+      message: 'Label deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete label error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete label' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { Prisma } = require('@prisma/client');
+const { query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { accessibleTaskListsWhere } = require('../utils/permissions');
+const { taskInclude, formatTask, activeTaskWhere } = require('../utils/tasks');
+const { MATCH_START, MATCH_END, buildMatchQuery, toSegments } = require('../utils/search');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/search?q=
+ * Search task list titles and task titles/descriptions across every list the
+ * user owns or has been shared, best matches first
+ */
+router.get(
+  '/',
+  [
+    query('q')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Search text is required')
+      .isLength({ max: 200 })
+      .withMessage('Search text must be less than 200 characters'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const userId = req.user.id;
+
+      const match = buildMatchQuery(req.query.q);
+      const taskLists = await prisma.taskList.findMany({
+        where: accessibleTaskListsWhere(userId),
+        select: { id: true, title: true }
+      });
+
+      if (!match || taskLists.length === 0) {
+        return res.json({
+          results: [],
+          pagination: { page, limit, total: 0, totalPages: 0 }
+        });
+      }
+
+      const listIds = Prisma.join(taskLists.map(taskList => taskList.id));
+      const filter = Prisma.sql`"search_index" MATCH ${match} AND "taskListId" IN (${listIds})`;
+
+      // Title matches weigh ten times more than description matches
+      const [hits, [{ total }]] = await Promise.all([
+        prisma.$queryRaw`
+          SELECT
+            "entityType",
+            "entityId",
+            "taskListId",
+            highlight("search_index", 3, ${MATCH_START}, ${MATCH_END}) AS "title",
+            snippet("search_index", 4, ${MATCH_START}, ${MATCH_END}, '…', 16) AS "snippet",
+            bm25("search_index", 0, 0, 0, 10.0, 1.0) AS "rank"
+          FROM "search_index"
+          WHERE ${filter}
+          ORDER BY "rank"
+          LIMIT ${limit} OFFSET ${(page - 1) * limit}
+        `,
+        prisma.$queryRaw`
+          SELECT COUNT(*) AS "total" FROM "search_index" WHERE ${filter}
+        `
+      ]);
+
+      // Load the matching tasks so clients can open them straight away
+      const tasks = await prisma.task.findMany({
+        where: {
+          id: {
+            in: hits.filter(hit => hit.entityType === 'task').map(hit => hit.entityId)
+          },
+          ...activeTaskWhere
+        },
+        include: taskInclude
+      });
+
+      // Skip hits whose task was deleted or trashed in the meantime
+      const results = hits
+        .filter(hit => hit.entityType !== 'task' || tasks.some(task => task.id === hit.entityId))
+        .map(hit => ({
+          type: hit.entityType,
+          id: hit.entityId,
+          taskListId: hit.taskListId,
+          taskListTitle: taskLists.find(taskList => taskList.id === hit.taskListId).title,
+          title: toSegments(hit.title),
+          snippet: hit.entityType === 'task' ? toSegments(hit.snippet) : [],
+          ...(hit.entityType === 'task' && {
+            task: formatTask(tasks.find(task => task.id === hit.entityId))
+          })
+        }));
+
+      res.json({
+        results,
+        pagination: {
+          page,
+          limit,
+          total: Number(total),
+          totalPages: Math.ceil(Number(total) / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ 
+        error: 'Failed to search' 
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authenticate = require('../middleware/auth');
 const prisma = require('../utils/prisma');
+const { recordActivity } = require('../utils/activity');
+const { canReceiveShares } = require('../utils/verification');
 
 const router = express.Router();
 
@@ -40,7 +42,7 @@ router.post(
         where: { id: taskListId }
       });
 
-      if (!taskList) {
+      if (!taskList || taskList.deletedAt) {
         return res.status(404).json({ 
           error: 'Task list not found' 
         });
@@ -55,7 +57,7 @@ router.post(
       // Find the user to share with
       const userToShareWith = await prisma.user.findUnique({
         where: { email },
-        select: { id: true, email: true }
+        select: { id: true, email: true, emailVerifiedAt: true }
       });
 
       if (!userToShareWith) {
@@ -71,6 +73,13 @@ router.post(
         });
       }
 
+      // Unverified addresses may be typos, see EMAIL_VERIFICATION_POLICY
+      if (!canReceiveShares(userToShareWith)) {
+        return res.status(400).json({ 
+          error: 'This user has not verified their email address yet' 
+        });
+      }
+
       // Check if already shared
       const existingShare = await prisma.taskListShare.findUnique({
         where: {
@@ -101,6 +110,15 @@ router.post(
         }
       });
 
+      await recordActivity({
+        taskListId,
+        actorId: userId,
+        action: 'share.created',
+        entityType: 'share',
+        entityId: share.id,
+        after: { email: share.user.email, permission }
+      });
+
       res.status(201).json({
         message: 'Task list shared successfully',
         share
@@ -128,7 +146,7 @@ router.get('/:taskListId', async (req, res) => {
       where: { id: taskListId }
     });
 
-    if (!taskList) {
+    if (!taskList || taskList.deletedAt) {
       return res.status(404).json({ 
         error: 'Task list not found' 
       });
@@ -190,7 +208,7 @@ router.put(
         where: { id: taskListId }
       });
 
-      if (!taskList) {
+      if (!taskList || taskList.deletedAt) {
         return res.status(404).json({ 
           error: 'Task list not found' 
         });
@@ -230,6 +248,18 @@ router.put(
         }
       });
 
+      if (share.permission !== permission) {
+        await recordActivity({
+          taskListId,
+          actorId: userId,
+          action: 'share.updated',
+          entityType: 'share',
+          entityId: shareId,
+          before: { email: updatedShare.user.email, permission: share.permission },
+          after: { email: updatedShare.user.email, permission }
+        });
+      }
+
       res.json({
         message: 'Permission updated successfully',
         share: updatedShare
@@ -257,7 +287,7 @@ router.delete('/:taskListId/:shareId', async (req, res) => {
       where: { id: taskListId }
     });
 
-    if (!taskList) {
+    if (!taskList || taskList.deletedAt) {
       return res.status(404).json({ 
         error: 'Task list not found' 
       });
@@ -271,7 +301,12 @@ router.delete('/:taskListId/:shareId', async (req, res) => {
 
     // Check if share exists
     const share = await prisma.taskListShare.findUnique({
-      where: { id: shareId }
+      where: { id: shareId },
+      include: {
+        user: {
+          select: { id: true, email: true }
+        }
+      }
     });
 
     if (!share) {
@@ -286,9 +321,26 @@ router.delete('/:taskListId/:shareId', async (req, res) => {
       });
     }
 
-    // Delete share
-    await prisma.taskListShare.delete({
-      where: { id: shareId }
+    // Delete share and unassign the user from the list's tasks
+    await prisma.$transaction([
+      prisma.taskAssignee.deleteMany({
+        where: {
+          userId: share.userId,
+          task: { taskListId }
+        }
+      }),
+      prisma.taskListShare.delete({
+        where: { id: shareId }
+      })
+    ]);
+
+    await recordActivity({
+      taskListId,
+      actorId: userId,
+      action: 'share.deleted',
+      entityType: 'share',
+      entityId: shareId,
+      before: { email: share.user.email, permission: share.permission }
     });
 
     res.json({
@@ -0,0 +1,287 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+const { findTaskInList } = require('../utils/tasks');
+
+// Mounted under /api/tasks/:taskListId/:taskId/items
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/tasks/:taskListId/:taskId/items
+ * Get all checklist items of a task
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { taskListId, taskId } = req.params;
+    const userId = req.user.id;
+
+    // Check access
+    const { hasAccess } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    const items = await prisma.taskItem.findMany({
+      where: { taskId },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      items
+    });
+  } catch (error) {
+    console.error('Get checklist items error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch checklist items' 
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:taskListId/:taskId/items
+ * Add a checklist item to the end of a task's checklist
+ */
+router.post(
+  '/',
+  [
+    body('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 200 })
+      .withMessage('Title must be less than 200 characters'),
+    body('isCompleted')
+      .optional()
+      .isBoolean()
+      .withMessage('isCompleted must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, taskId } = req.params;
+      const { title, isCompleted } = req.body;
+      const userId = req.user.id;
+
+      // Check access - need edit permission
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: 'You need edit permission to add checklist items' 
+        });
+      }
+
+      const task = await findTaskInList(taskListId, taskId);
+
+      if (!task) {
+        return res.status(404).json({ 
+          error: 'Task not found' 
+        });
+      }
+
+      // Create item at the end of the checklist
+      const item = await prisma.$transaction(async (tx) => {
+        const { _max } = await tx.taskItem.aggregate({
+          where: { taskId },
+          _max: { position: true }
+        });
+
+        return tx.taskItem.create({
+          data: {
+            title,
+            isCompleted: isCompleted === true || isCompleted === 'true',
+            position: _max.position !== null ? _max.position + 1 : 0,
+            taskId,
+          }
+        });
+      });
+
+      res.status(201).json({
+        message: 'Checklist item created successfully',
+        item
+      });
+    } catch (error) {
+      console.error('Create checklist item error:', error);
+      res.status(500).json({ 
+        error: 'Failed to create checklist item' 
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/tasks/:taskListId/:taskId/items/:itemId
+ * Rename or check/uncheck a checklist item
+ */
+router.put(
+  '/:itemId',
+  [
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Title cannot be empty')
+      .isLength({ max: 200 })
+      .withMessage('Title must be less than 200 characters'),
+    body('isCompleted')
+      .optional()
+      .isBoolean()
+      .withMessage('isCompleted must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, taskId, itemId } = req.params;
+      const { title, isCompleted } = req.body;
+      const userId = req.user.id;
+
+      // Check access - need edit permission
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: 'You need edit permission to update checklist items' 
+        });
+      }
+
+      const task = await findTaskInList(taskListId, taskId);
+
+      if (!task) {
+        return res.status(404).json({ 
+          error: 'Task not found' 
+        });
+      }
+
+      // Check if item exists and belongs to the task
+      const existingItem = await prisma.taskItem.findUnique({
+        where: { id: itemId }
+      });
+
+      if (!existingItem || existingItem.taskId !== taskId) {
+        return res.status(404).json({ 
+          error: 'Checklist item not found' 
+        });
+      }
+
+      // Build update data
+      const updateData = {};
+      if (title !== undefined) updateData.title = title;
+      if (isCompleted !== undefined) {
+        updateData.isCompleted = isCompleted === true || isCompleted === 'true';
+      }
+
+      const item = await prisma.taskItem.update({
+        where: { id: itemId },
+        data: updateData
+      });
+
+      res.json({
+        message: 'Checklist item updated successfully',
+        item
+      });
+    } catch (error) {
+      console.error('Update checklist item error:', error);
+      res.status(500).json({ 
+        error: 'Failed to update checklist item' 
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/tasks/:taskListId/:taskId/items/:itemId
+ * Delete a checklist item
+ */
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const { taskListId, taskId, itemId } = req.params;
+    const userId = req.user.id;
+
+    // Check access - need edit permission
+    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    if (permission === 'view') {
+      return res.status(403).json({ 
+        error: 'You need edit permission to delete checklist items' 
+      });
+    }
+
+    const task = await findTaskInList(taskListId, taskId);
+
+    if (!task) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
+
+    // Check if item exists and belongs to the task
+    const existingItem = await prisma.taskItem.findUnique({
+      where: { id: itemId }
+    });
+
+    if (!existingItem || existingItem.taskId !== taskId) {
+      return res.status(404).json({ 
+        error: 'Checklist item not found' 
+      });
+    }
+
+    await prisma.taskItem.delete({
+      where: { id: itemId }
+    });
+
+    res.json({
+      message: 'Checklist item deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete checklist item' 
+    });
+  }
+});
+
+module.exports = router;
@@ -1,87 +1,217 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const authenticate = require('../middleware/auth');
 const prisma = require('../utils/prisma');
+const { getUserPermission, accessibleTaskListsWhere } = require('../utils/permissions');
+const { TASK_STATUSES, taskInclude, formatTask } = require('../utils/tasks');
+const { recordActivity, formatActivity } = require('../utils/activity');
+const { getPurgeDate } = require('../utils/trash');
+const { createUndoToken } = require('../utils/undo');
+const {
+  applyTemplate,
+  duplicateTaskList,
+  duplicateInclude,
+  accessibleTemplatesWhere
+} = require('../utils/templates');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
-/**
- * GET /api/tasklists
- * Get all task lists for the authenticated user (owned + shared)
- */
-router.get('/', async (req, res) => {
-  try {
-    const userId = req.user.id;
-
-    // Get owned task lists
-    const ownedTaskLists = await prisma.taskList.findMany({
-      where: { ownerId: userId },
+// Relations that can be embedded in the listing with ?include=
+const LIST_INCLUDES = {
+  tasks: {
+    tasks: {
+      where: { deletedAt: null },
+      orderBy: [{ position: 'asc' }, { createdAt: 'desc' }]
+    }
+  },
+  shares: {
+    shares: {
       include: {
-        tasks: true,
-        shares: {
-          include: {
-            user: {
-              select: { id: true, email: true }
-            }
-          }
-        },
-        owner: {
+        user: {
           select: { id: true, email: true }
         }
+      }
+    }
+  }
+};
+
+/**
+ * Helper function to aggregate task counts per status, share counts and the
+ * last activity of task lists with grouped queries instead of loading rows
+ */
+async function summarizeTaskLists(taskListIds) {
+  const where = { taskListId: { in: taskListIds } };
+
+  const [taskGroups, shareGroups, activityGroups] = await Promise.all([
+    prisma.task.groupBy({
+      by: ['taskListId', 'status'],
+      where: { ...where, deletedAt: null },
+      _count: { _all: true }
+    }),
+    prisma.taskListShare.groupBy({
+      by: ['taskListId'],
+      where,
+      _count: { _all: true }
+    }),
+    prisma.activity.groupBy({
+      by: ['taskListId'],
+      where,
+      _max: { createdAt: true }
+    })
+  ]);
+
+  const summaries = {};
+  for (const id of taskListIds) {
+    summaries[id] = {
+      taskCounts: {
+        ...Object.fromEntries(TASK_STATUSES.map(status => [status, 0])),
+        total: 0
       },
-      orderBy: { createdAt: 'desc' }
-    });
+      shareCount: 0,
+      lastActivityAt: null
+    };
+  }
 
-    // Get shared task lists
-    const sharedTaskLists = await prisma.taskListShare.findMany({
-      where: { userId },
-      include: {
-        taskList: {
+  for (const group of taskGroups) {
+    summaries[group.taskListId].taskCounts[group.status] = group._count._all;
+    summaries[group.taskListId].taskCounts.total += group._count._all;
+  }
+  for (const group of shareGroups) {
+    summaries[group.taskListId].shareCount = group._count._all;
+  }
+  for (const group of activityGroups) {
+    summaries[group.taskListId].lastActivityAt = group._max.createdAt;
+  }
+
+  return summaries;
+}
+
+/**
+ * GET /api/tasklists
+ * Get the task lists of the authenticated user (owned + shared) with task
+ * counts per status, share counts and last activity, newest first.
+ * Archived lists are only returned with ?archived=true, ?editable=true only
+ * returns the active lists the user can edit.
+ */
+router.get(
+  '/',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    query('include')
+      .optional()
+      .custom(value => String(value).split(',').every(name => LIST_INCLUDES[name.trim()]))
+      .withMessage(`Include must be one or more of: ${Object.keys(LIST_INCLUDES).join(', ')}`),
+    query('archived')
+      .optional()
+      .isBoolean()
+      .withMessage('Archived must be true or false')
+      .toBoolean(),
+    query('editable')
+      .optional()
+      .isBoolean()
+      .withMessage('Editable must be true or false')
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.id;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 50;
+      const where = {
+        ...accessibleTaskListsWhere(userId),
+        archivedAt: req.query.archived && !req.query.editable ? { not: null } : null
+      };
+
+      // Lists shared with view permission cannot be edited
+      if (req.query.editable) {
+        where.OR = [{ ownerId: userId }, { shares: { some: { userId, permission: 'edit' } } }];
+      }
+
+      // Only embed the full tasks and shares when explicitly asked for
+      const includes = req.query.include
+        ? String(req.query.include).split(',').map(name => LIST_INCLUDES[name.trim()])
+        : [];
+
+      const [total, taskLists] = await Promise.all([
+        prisma.taskList.count({ where }),
+        prisma.taskList.findMany({
+          where,
           include: {
-            tasks: true,
             owner: {
               select: { id: true, email: true }
             },
-            shares: {
-              include: {
-                user: {
-                  select: { id: true, email: true }
-                }
-              }
-            }
-          }
-        }
-      }
-    });
-
-    // Format response
-    const owned = ownedTaskLists.map(list => ({
-      ...list,
-      permission: 'owner',
-      isOwner: true
-    }));
+            ...Object.assign({}, ...includes)
+          },
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        })
+      ]);
+
+      // The user's own share tells the permission on lists shared with them
+      const ownShares = await prisma.taskListShare.findMany({
+        where: {
+          userId,
+          taskListId: { in: taskLists.map(list => list.id) }
+        },
+        select: { taskListId: true, permission: true }
+      });
 
-    const shared = sharedTaskLists.map(share => ({
-      ...share.taskList,
-      permission: share.permission,
-      isOwner: false
-    }));
+      const summaries = await summarizeTaskLists(taskLists.map(list => list.id));
+
+      // Format response
+      const all = taskLists.map(list => {
+        const isOwner = list.ownerId === userId;
+        const summary = summaries[list.id];
+
+        return {
+          ...list,
+          ...summary,
+          lastActivityAt: summary.lastActivityAt || list.updatedAt,
+          permission: list.archivedAt ? 'view' : isOwner
+            ? 'owner'
+            : ownShares.find(share => share.taskListId === list.id).permission,
+          isOwner
+        };
+      });
 
-    res.json({
-      owned,
-      shared,
-      all: [...owned, ...shared]
-    });
-  } catch (error) {
-    console.error('Get task lists error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch task lists' 
-    });
+      res.json({
+        owned: all.filter(list => list.isOwner),
+        shared: all.filter(list => !list.isOwner),
+        all,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get task lists error:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch task lists' 
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/tasklists/:id
@@ -97,7 +227,9 @@ router.get('/:id', async (req, res) => {
       where: { id },
       include: {
         tasks: {
-          orderBy: { createdAt: 'desc' }
+          where: { deletedAt: null },
+          include: taskInclude,
+          orderBy: [{ position: 'asc' }, { createdAt: 'desc' }]
         },
         owner: {
           select: { id: true, email: true }
@@ -112,7 +244,7 @@ router.get('/:id', async (req, res) => {
       }
     });
 
-    if (!taskList) {
+    if (!taskList || taskList.deletedAt) {
       return res.status(404).json({ 
         error: 'Task list not found' 
       });
@@ -128,10 +260,11 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Add permission info
+    // Add permission info, archived lists are read-only
     const response = {
       ...taskList,
-      permission: isOwner ? 'owner' : share.permission,
+      tasks: taskList.tasks.map(task => formatTask(task)),
+      permission: taskList.archivedAt ? 'view' : isOwner ? 'owner' : share.permission,
       isOwner
     };
 
@@ -144,9 +277,136 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tasklists/:id/members
+ * Get everyone who can access a task list (used for task assignment)
+ */
+router.get('/:id/members', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    // Check access
+    const { hasAccess } = await getUserPermission(id, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    const taskList = await prisma.taskList.findUnique({
+      where: { id },
+      include: {
+        owner: {
+          select: { id: true, email: true }
+        },
+        shares: {
+          include: {
+            user: {
+              select: { id: true, email: true }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    const members = [
+      { ...taskList.owner, permission: 'owner' },
+      ...taskList.shares.map(share => ({
+        ...share.user,
+        permission: share.permission
+      }))
+    ];
+
+    res.json({
+      members
+    });
+  } catch (error) {
+    console.error('Get task list members error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch task list members' 
+    });
+  }
+});
+
+/**
+ * GET /api/tasklists/:id/activity
+ * Get the activity log of a task list (newest first)
+ */
+router.get(
+  '/:id/activity',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.id;
+      const { id } = req.params;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 50;
+
+      // Check access
+      const { hasAccess } = await getUserPermission(id, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      const [total, activities] = await Promise.all([
+        prisma.activity.count({ where: { taskListId: id } }),
+        prisma.activity.findMany({
+          where: { taskListId: id },
+          include: {
+            actor: {
+              select: { id: true, email: true }
+            }
+          },
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        })
+      ]);
+
+      res.json({
+        activities: activities.map(formatActivity),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get activity error:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch activity' 
+      });
+    }
+  }
+);
+
 /**
  * POST /api/tasklists
- * Create a new task list
+ * Create a new task list, optionally with the labels and tasks of a template
  */
 router.post(
   '/',
@@ -157,6 +417,10 @@ router.post(
       .withMessage('Title is required')
       .isLength({ max: 200 })
       .withMessage('Title must be less than 200 characters'),
+    body('templateId')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Invalid template'),
   ],
   async (req, res) => {
     try {
@@ -166,22 +430,56 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { title } = req.body;
+      const { title, templateId } = req.body;
       const userId = req.user.id;
 
-      // Create task list
-      const taskList = await prisma.taskList.create({
-        data: {
-          title,
-          ownerId: userId,
-        },
-        include: {
-          owner: {
-            select: { id: true, email: true }
-          },
-          tasks: true,
-          shares: true
+      let template = null;
+      if (templateId) {
+        template = await prisma.template.findFirst({
+          where: { id: templateId, ...accessibleTemplatesWhere(userId) }
+        });
+
+        if (!template) {
+          return res.status(404).json({ 
+            error: 'Template not found' 
+          });
+        }
+      }
+
+      // Create task list, with the template content if any
+      const taskList = await prisma.$transaction(async tx => {
+        const created = await tx.taskList.create({
+          data: {
+            title,
+            ownerId: userId,
+          }
+        });
+
+        if (template) {
+          await applyTemplate(tx, created.id, JSON.parse(template.content));
         }
+
+        return tx.taskList.findUnique({
+          where: { id: created.id },
+          include: {
+            owner: {
+              select: { id: true, email: true }
+            },
+            tasks: {
+              orderBy: [{ position: 'asc' }, { createdAt: 'desc' }]
+            },
+            shares: true
+          }
+        });
+      });
+
+      await recordActivity({
+        taskListId: taskList.id,
+        actorId: userId,
+        action: 'task_list.created',
+        entityType: 'task_list',
+        entityId: taskList.id,
+        after: taskList
       });
 
       res.status(201).json({
@@ -201,6 +499,195 @@ router.post(
   }
 );
 
+/**
+ * POST /api/tasklists/:id/duplicate
+ * Copy a task list the user can access into a new list they own
+ */
+router.post(
+  '/:id/duplicate',
+  [
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Title cannot be empty')
+      .isLength({ max: 200 })
+      .withMessage('Title must be less than 200 characters'),
+    body('resetStatuses')
+      .optional()
+      .isBoolean()
+      .withMessage('resetStatuses must be a boolean')
+      .toBoolean(),
+    body('copyShares')
+      .optional()
+      .isBoolean()
+      .withMessage('copyShares must be a boolean')
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { resetStatuses = false, copyShares = false } = req.body;
+      const userId = req.user.id;
+
+      const { hasAccess, isOwner } = await getUserPermission(id, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      // Only the owner decides who the list is shared with
+      if (copyShares && !isOwner) {
+        return res.status(403).json({ 
+          error: 'Only the owner can copy the shares of a task list' 
+        });
+      }
+
+      const source = await prisma.taskList.findUnique({
+        where: { id },
+        include: duplicateInclude
+      });
+
+      const taskList = await prisma.$transaction(async tx => {
+        const created = await duplicateTaskList(tx, source, {
+          ownerId: userId,
+          title: req.body.title || `Copy of ${source.title}`.slice(0, 200),
+          resetStatuses,
+          copyShares
+        });
+
+        return tx.taskList.findUnique({
+          where: { id: created.id },
+          include: {
+            owner: {
+              select: { id: true, email: true }
+            },
+            tasks: {
+              orderBy: [{ position: 'asc' }, { createdAt: 'desc' }]
+            },
+            shares: true
+          }
+        });
+      }, { timeout: 30000 });
+
+      await recordActivity({
+        taskListId: taskList.id,
+        actorId: userId,
+        action: 'task_list.created',
+        entityType: 'task_list',
+        entityId: taskList.id,
+        after: taskList
+      });
+
+      res.status(201).json({
+        message: 'Task list duplicated successfully',
+        taskList: {
+          ...taskList,
+          permission: 'owner',
+          isOwner: true
+        }
+      });
+    } catch (error) {
+      console.error('Duplicate task list error:', error);
+      res.status(500).json({ 
+        error: 'Failed to duplicate task list' 
+      });
+    }
+  }
+);
+
+/**
+ * Helper function to build the handler archiving (or unarchiving) a task list
+ */
+function setArchived(archived) {
+  return async (req, res) => {
+    const verb = archived ? 'archive' : 'unarchive';
+
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      // Check if task list exists and user is the owner
+      const taskList = await prisma.taskList.findUnique({
+        where: { id }
+      });
+
+      if (!taskList || taskList.deletedAt) {
+        return res.status(404).json({ 
+          error: 'Task list not found' 
+        });
+      }
+
+      if (taskList.ownerId !== userId) {
+        return res.status(403).json({ 
+          error: `Only the owner can ${verb} the task list` 
+        });
+      }
+
+      if (Boolean(taskList.archivedAt) === archived) {
+        return res.status(400).json({ 
+          error: archived ? 'This task list is already archived' : 'This task list is not archived' 
+        });
+      }
+
+      const updatedTaskList = await prisma.taskList.update({
+        where: { id },
+        data: { archivedAt: archived ? new Date() : null },
+        include: {
+          owner: {
+            select: { id: true, email: true }
+          }
+        }
+      });
+
+      await recordActivity({
+        taskListId: id,
+        actorId: userId,
+        action: `task_list.${verb}d`,
+        entityType: 'task_list',
+        entityId: id,
+        before: taskList,
+        after: updatedTaskList
+      });
+
+      res.json({
+        message: `Task list ${verb}d successfully`,
+        taskList: {
+          ...updatedTaskList,
+          permission: archived ? 'view' : 'owner',
+          isOwner: true
+        }
+      });
+    } catch (error) {
+      console.error(`${archived ? 'Archive' : 'Unarchive'} task list error:`, error);
+      res.status(500).json({ 
+        error: `Failed to ${verb} task list` 
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/tasklists/:id/archive
+ * Archive a task list (owner only). It is hidden from the task list listing
+ * and read-only for everyone, but stays searchable.
+ */
+router.post('/:id/archive', setArchived(true));
+
+/**
+ * POST /api/tasklists/:id/unarchive
+ * Make an archived task list editable again (owner only)
+ */
+router.post('/:id/unarchive', setArchived(false));
+
 /**
  * PUT /api/tasklists/:id
  * Update a task list
@@ -232,7 +719,7 @@ router.put(
         where: { id }
       });
 
-      if (!taskList) {
+      if (!taskList || taskList.deletedAt) {
         return res.status(404).json({ 
           error: 'Task list not found' 
         });
@@ -244,6 +731,12 @@ router.put(
         });
       }
 
+      if (taskList.archivedAt) {
+        return res.status(403).json({ 
+          error: 'This task list is archived and read-only' 
+        });
+      }
+
       // Update task list
       const updatedTaskList = await prisma.taskList.update({
         where: { id },
@@ -252,7 +745,9 @@ router.put(
           owner: {
             select: { id: true, email: true }
           },
-          tasks: true,
+          tasks: {
+            where: { deletedAt: null }
+          },
           shares: {
             include: {
               user: {
@@ -263,13 +758,36 @@ router.put(
         }
       });
 
+      let undo = null;
+      if (taskList.title !== updatedTaskList.title) {
+        await recordActivity({
+          taskListId: id,
+          actorId: userId,
+          action: 'task_list.updated',
+          entityType: 'task_list',
+          entityId: id,
+          before: taskList,
+          after: updatedTaskList
+        });
+
+        undo = await createUndoToken({
+          userId,
+          taskListId: id,
+          action: 'task_list.updated',
+          changes: {
+            taskList: { before: { title: taskList.title }, after: { title: updatedTaskList.title } }
+          }
+        });
+      }
+
       res.json({
         message: 'Task list updated successfully',
         taskList: {
           ...updatedTaskList,
           permission: 'owner',
           isOwner: true
-        }
+        },
+        ...(undo && { undo })
       });
     } catch (error) {
       console.error('Update task list error:', error);
@@ -282,7 +800,7 @@ router.put(
 
 /**
  * DELETE /api/tasklists/:id
- * Delete a task list (owner only)
+ * Move a task list to the trash (owner only)
  */
 router.delete('/:id', async (req, res) => {
   try {
@@ -294,7 +812,7 @@ router.delete('/:id', async (req, res) => {
       where: { id }
     });
 
-    if (!taskList) {
+    if (!taskList || taskList.deletedAt) {
       return res.status(404).json({ 
         error: 'Task list not found' 
       });
@@ -306,13 +824,35 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Delete task list (cascade will delete tasks and shares)
-    await prisma.taskList.delete({
-      where: { id }
+    // Everyone loses access until the list is restored or purged
+    const deletedTaskList = await prisma.taskList.update({
+      where: { id },
+      data: { deletedAt: new Date() }
+    });
+
+    await recordActivity({
+      taskListId: id,
+      actorId: userId,
+      action: 'task_list.deleted',
+      entityType: 'task_list',
+      entityId: id,
+      before: taskList
+    });
+
+    // Shares and task positions are left untouched, so undoing only clears deletedAt
+    const undo = await createUndoToken({
+      userId,
+      taskListId: id,
+      action: 'task_list.deleted',
+      changes: {
+        taskList: { before: { deletedAt: null }, after: { deletedAt: deletedTaskList.deletedAt } }
+      }
     });
 
     res.json({
-      message: 'Task list deleted successfully'
+      message: 'Task list moved to the trash',
+      purgeAt: getPurgeDate(deletedTaskList.deletedAt),
+      undo
     });
   } catch (error) {
     console.error('Delete task list error:', error);
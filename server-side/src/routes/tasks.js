@@ -1,7 +1,15 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const authenticate = require('../middleware/auth');
 const prisma = require('../utils/prisma');
+const { getUserPermission, getTaskListMemberIds } = require('../utils/permissions');
+const { TASK_STATUSES, TASK_PRIORITIES, taskInclude, formatTask, isValidDateRange } = require('../utils/tasks');
+const { diffEntity, recordActivity } = require('../utils/activity');
+const { parseRecurrence, getNextOccurrence, pinMonthDay } = require('../utils/recurrence');
+const { getBlockersForStatusChange, hideInaccessibleTasks } = require('../utils/dependencies');
+const { getPurgeDate } = require('../utils/trash');
+const { snapshotTask, snapshotCreatedTask, createUndoToken } = require('../utils/undo');
+const { buildQueryWhere } = require('../utils/query');
 
 const router = express.Router();
 
@@ -9,71 +17,355 @@ const router = express.Router();
 router.use(authenticate);
 
 /**
- * Helper function to check user's permission for a task list
+ * Helper function to check that all labels belong to the task list
  */
-async function getUserPermission(taskListId, userId) {
-  const taskList = await prisma.taskList.findUnique({
-    where: { id: taskListId },
-    include: {
-      shares: {
-        where: { userId }
-      }
-    }
+async function labelsBelongToList(taskListId, labelIds) {
+  const uniqueIds = [...new Set(labelIds)];
+  const count = await prisma.label.count({
+    where: { id: { in: uniqueIds }, taskListId }
   });
+  return count === uniqueIds.length;
+}
 
-  if (!taskList) {
-    return { hasAccess: false, permission: null, taskList: null };
-  }
+/**
+ * Helper function to check that all assignees can access the task list
+ */
+async function assigneesAreMembers(taskListId, assigneeIds) {
+  const memberIds = await getTaskListMemberIds(taskListId);
+  return assigneeIds.every(id => memberIds.includes(id));
+}
+
+/**
+ * Helper function to validate an RRULE-style recurrence (null clears it)
+ */
+const recurrenceValidator = () => body('recurrence')
+  .optional({ values: 'null' })
+  .custom(value => {
+    parseRecurrence(value);
+    return true;
+  });
 
-  const isOwner = taskList.ownerId === userId;
-  const share = taskList.shares[0];
+/**
+ * Helper function to complete a recurring task inside a transaction.
+ * Creates the next occurrence with the next due date and moves the recurrence
+ * rule over to it, so completing the old task again does not spawn duplicates.
+ * Returns the completed task and the new occurrence (null once the rule ended).
+ */
+async function spawnNextOccurrence(tx, task) {
+  const previousDueDate = task.dueDate || new Date();
+  const dueDate = getNextOccurrence(task.recurrence, previousDueDate);
 
-  if (isOwner) {
-    return { hasAccess: true, permission: 'owner', taskList, isOwner: true };
+  if (!dueDate) {
+    return { completedTask: task, nextTask: null };
   }
 
-  if (share) {
-    return { hasAccess: true, permission: share.permission, taskList, isOwner: false };
-  }
+  // Keep the same gap between start and due date
+  const shift = dueDate.getTime() - new Date(previousDueDate).getTime();
+
+  const { _min } = await tx.task.aggregate({
+    where: { taskListId: task.taskListId },
+    _min: { position: true }
+  });
 
-  return { hasAccess: false, permission: null, taskList: null };
+  const nextTask = await tx.task.create({
+    data: {
+      title: task.title,
+      description: task.description,
+      status: 'pending',
+      priority: task.priority,
+      position: _min.position - 1,
+      startDate: task.startDate ? new Date(task.startDate.getTime() + shift) : null,
+      dueDate,
+      // Later occurrences keep the day of month of this one
+      recurrence: pinMonthDay(task.recurrence, previousDueDate),
+      taskListId: task.taskListId,
+      labels: { connect: task.labels.map(label => ({ id: label.id })) },
+      assignees: {
+        create: task.assignees.map(assignee => ({ userId: assignee.userId }))
+      },
+      items: {
+        create: task.items.map(item => ({ title: item.title, position: item.position }))
+      }
+    },
+    include: taskInclude
+  });
+
+  const completedTask = await tx.task.update({
+    where: { id: task.id },
+    data: { recurrence: null },
+    include: taskInclude
+  });
+
+  return { completedTask, nextTask };
 }
 
 /**
- * GET /api/tasks/:taskListId
- * Get all tasks in a task list
+ * Helper function to log the creation of the next occurrence of a recurring task
  */
-router.get('/:taskListId', async (req, res) => {
-  try {
-    const { taskListId } = req.params;
-    const userId = req.user.id;
+async function recordNextOccurrence(taskListId, userId, nextTask) {
+  await recordActivity({
+    taskListId,
+    actorId: userId,
+    action: 'task.recurred',
+    entityType: 'task',
+    entityId: nextTask.id,
+    after: nextTask
+  });
+}
 
-    // Check access
-    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+/**
+ * Helper function to reject a status change while blockers are incomplete
+ */
+async function sendBlockedError(res, userId, status, blockers) {
+  return res.status(409).json({ 
+    error: `This task cannot be moved to ${status.replace('_', ' ')} until its blockers are completed`, 
+    blockedBy: await hideInaccessibleTasks(blockers, userId) 
+  });
+}
 
-    if (!hasAccess) {
-      return res.status(403).json({ 
-        error: 'You do not have access to this task list' 
+// Fields the task listing can be sorted by, with their default direction
+const SORT_FIELDS = {
+  position: 'asc',
+  createdAt: 'desc',
+  updatedAt: 'desc',
+  dueDate: 'asc',
+  startDate: 'asc',
+  title: 'asc'
+};
+
+/**
+ * Helper function to read a filter that may be repeated or comma-separated
+ */
+function listParam(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * GET /api/tasks?query=
+ * Find tasks across every accessible task list with the query language,
+ * e.g. status:pending updated:<7d "weekly report", most recently updated first
+ */
+router.get(
+  '/',
+  [
+    query('query')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Query is required')
+      .isLength({ max: 500 })
+      .withMessage('Query must be less than 500 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    query('cursor')
+      .optional()
+      .isString()
+      .withMessage('Invalid cursor'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { limit, cursor } = req.query;
+
+      // Report syntax errors with the position they were found at
+      let where;
+      try {
+        where = buildQueryWhere(req.query.query, req.user.id);
+      } catch (error) {
+        return res.status(400).json({ 
+          error: error.message, 
+          position: error.position 
+        });
+      }
+
+      // Get tasks, one more than the page size to know if there is a next page
+      const tasks = await prisma.task.findMany({
+        where,
+        include: {
+          ...taskInclude,
+          taskList: {
+            select: { id: true, title: true }
+          }
+        },
+        orderBy: [{ updatedAt: 'desc' }, { id: 'desc' }],
+        ...(limit && { take: limit + 1 }),
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      const hasMore = Boolean(limit) && tasks.length > limit;
+      const page = hasMore ? tasks.slice(0, limit) : tasks;
+
+      res.json({
+        tasks: page.map(task => formatTask(task)),
+        nextCursor: hasMore ? page[page.length - 1].id : null
+      });
+    } catch (error) {
+      console.error('Query tasks error:', error);
+      res.status(500).json({ 
+        error: 'Failed to query tasks' 
       });
     }
+  }
+);
 
-    // Get tasks
-    const tasks = await prisma.task.findMany({
-      where: { taskListId },
-      orderBy: { createdAt: 'desc' }
-    });
+/**
+ * GET /api/tasks/:taskListId
+ * Get the tasks of a task list, optionally filtered, sorted and paginated
+ */
+router.get(
+  '/:taskListId',
+  [
+    query('status')
+      .optional()
+      .custom(value => listParam(value).every(status => TASK_STATUSES.includes(status)))
+      .withMessage('Invalid status'),
+    query('q')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Search text must be less than 200 characters'),
+    query(['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'])
+      .optional()
+      .isISO8601()
+      .withMessage('Date filters must be valid dates'),
+    query('sort')
+      .optional()
+      .isIn(Object.keys(SORT_FIELDS))
+      .withMessage(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    query('cursor')
+      .optional()
+      .isString()
+      .withMessage('Invalid cursor'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    res.json({
-      tasks,
-      permission
-    });
-  } catch (error) {
-    console.error('Get tasks error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch tasks' 
-    });
+      const { taskListId } = req.params;
+      const { q, createdAfter, createdBefore, updatedAfter, updatedBefore, limit, cursor } = req.query;
+      const userId = req.user.id;
+
+      // Check access
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      const where = { taskListId, deletedAt: null };
+
+      // Optionally filter by status (?status=pending,in_progress)
+      const statuses = listParam(req.query.status);
+      if (statuses.length > 0) {
+        where.status = { in: statuses };
+      }
+
+      // Optionally match text in the title or description
+      if (q) {
+        where.OR = [
+          { title: { contains: q } },
+          { description: { contains: q } }
+        ];
+      }
+
+      // Optionally restrict the creation and last update dates
+      if (createdAfter || createdBefore) {
+        where.createdAt = {
+          ...(createdAfter && { gte: new Date(createdAfter) }),
+          ...(createdBefore && { lte: new Date(createdBefore) })
+        };
+      }
+      if (updatedAfter || updatedBefore) {
+        where.updatedAt = {
+          ...(updatedAfter && { gte: new Date(updatedAfter) }),
+          ...(updatedBefore && { lte: new Date(updatedBefore) })
+        };
+      }
+
+      // Optionally filter by label ID or name (?label=bug&label=chore)
+      const labelFilter = [].concat(req.query.label || []).filter(Boolean);
+
+      if (labelFilter.length > 0) {
+        where.labels = {
+          some: {
+            OR: [
+              { id: { in: labelFilter } },
+              { name: { in: labelFilter } }
+            ]
+          }
+        };
+      }
+
+      // Optionally filter by assignee (?assignee=me or a user ID)
+      if (req.query.assignee) {
+        const assigneeId = req.query.assignee === 'me' ? userId : req.query.assignee;
+        where.assignees = { some: { userId: assigneeId } };
+      }
+
+      // Manual order by default; the ID keeps the order stable for the cursor
+      const sort = req.query.sort || 'position';
+      const order = req.query.order || SORT_FIELDS[sort];
+      const orderBy = sort === 'position'
+        ? [{ position: order }, { createdAt: 'desc' }, { id: 'asc' }]
+        : [
+          ['dueDate', 'startDate'].includes(sort)
+            ? { [sort]: { sort: order, nulls: 'last' } }
+            : { [sort]: order },
+          { id: order }
+        ];
+
+      // Get tasks, one more than the page size to know if there is a next page
+      const tasks = await prisma.task.findMany({
+        where,
+        include: taskInclude,
+        orderBy,
+        ...(limit && { take: limit + 1 }),
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      const hasMore = Boolean(limit) && tasks.length > limit;
+      const page = hasMore ? tasks.slice(0, limit) : tasks;
+
+      res.json({
+        tasks: page.map(task => formatTask(task)),
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+        permission
+      });
+    } catch (error) {
+      console.error('Get tasks error:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch tasks' 
+      });
+    }
   }
-});
+);
 
 /**
  * POST /api/tasks/:taskListId
@@ -95,8 +387,35 @@ router.post(
       .withMessage('Description must be less than 1000 characters'),
     body('status')
       .optional()
-      .isIn(['pending', 'in_progress', 'completed'])
+      .isIn(TASK_STATUSES)
       .withMessage('Invalid status'),
+    body('priority')
+      .optional()
+      .isIn(TASK_PRIORITIES)
+      .withMessage('Invalid priority'),
+    body('startDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    body('dueDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Due date must be a valid date'),
+    recurrenceValidator(),
+    body('labelIds')
+      .optional()
+      .isArray()
+      .withMessage('labelIds must be an array'),
+    body('labelIds.*')
+      .isString()
+      .withMessage('labelIds must contain label IDs'),
+    body('assigneeIds')
+      .optional()
+      .isArray()
+      .withMessage('assigneeIds must be an array'),
+    body('assigneeIds.*')
+      .isString()
+      .withMessage('assigneeIds must contain user IDs'),
   ],
   async (req, res) => {
     try {
@@ -107,9 +426,15 @@ router.post(
       }
 
       const { taskListId } = req.params;
-      const { title, description, status } = req.body;
+      const { title, description, status, priority, startDate, dueDate, recurrence, labelIds, assigneeIds } = req.body;
       const userId = req.user.id;
 
+      if (!isValidDateRange(startDate, dueDate)) {
+        return res.status(400).json({ 
+          error: 'Start date cannot be after the due date' 
+        });
+      }
+
       // Check access - need edit permission
       const { hasAccess, permission } = await getUserPermission(taskListId, userId);
 
@@ -125,19 +450,61 @@ router.post(
         });
       }
 
-      // Create task
-      const task = await prisma.task.create({
-        data: {
-          title,
-          description: description || null,
-          status: status || 'pending',
-          taskListId,
-        }
+      if (labelIds && !(await labelsBelongToList(taskListId, labelIds))) {
+        return res.status(400).json({ 
+          error: 'One or more labels do not belong to this task list' 
+        });
+      }
+
+      if (assigneeIds && !(await assigneesAreMembers(taskListId, assigneeIds))) {
+        return res.status(400).json({ 
+          error: 'Tasks can only be assigned to the owner or users the list is shared with' 
+        });
+      }
+
+      // Create task at the top of the list
+      const task = await prisma.$transaction(async (tx) => {
+        const { _min } = await tx.task.aggregate({
+          where: { taskListId },
+          _min: { position: true }
+        });
+
+        return tx.task.create({
+          data: {
+            title,
+            description: description || null,
+            status: status || 'pending',
+            priority: priority || 'medium',
+            position: _min.position !== null ? _min.position - 1 : 0,
+            startDate: startDate ? new Date(startDate) : null,
+            dueDate: dueDate ? new Date(dueDate) : null,
+            recurrence: recurrence || null,
+            taskListId,
+            ...(labelIds && {
+              labels: { connect: labelIds.map(id => ({ id })) }
+            }),
+            ...(assigneeIds && {
+              assignees: {
+                create: [...new Set(assigneeIds)].map(assigneeId => ({ userId: assigneeId }))
+              }
+            }),
+          },
+          include: taskInclude
+        });
+      });
+
+      await recordActivity({
+        taskListId,
+        actorId: userId,
+        action: 'task.created',
+        entityType: 'task',
+        entityId: task.id,
+        after: task
       });
 
       res.status(201).json({
         message: 'Task created successfully',
-        task
+        task: formatTask(task)
       });
     } catch (error) {
       console.error('Create task error:', error);
@@ -169,8 +536,35 @@ router.put(
       .withMessage('Description must be less than 1000 characters'),
     body('status')
       .optional()
-      .isIn(['pending', 'in_progress', 'completed'])
+      .isIn(TASK_STATUSES)
       .withMessage('Invalid status'),
+    body('priority')
+      .optional()
+      .isIn(TASK_PRIORITIES)
+      .withMessage('Invalid priority'),
+    body('startDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    body('dueDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Due date must be a valid date'),
+    recurrenceValidator(),
+    body('labelIds')
+      .optional()
+      .isArray()
+      .withMessage('labelIds must be an array'),
+    body('labelIds.*')
+      .isString()
+      .withMessage('labelIds must contain label IDs'),
+    body('assigneeIds')
+      .optional()
+      .isArray()
+      .withMessage('assigneeIds must be an array'),
+    body('assigneeIds.*')
+      .isString()
+      .withMessage('assigneeIds must contain user IDs'),
   ],
   async (req, res) => {
     try {
@@ -181,7 +575,7 @@ router.put(
       }
 
       const { taskListId, taskId } = req.params;
-      const { title, description, status } = req.body;
+      const { title, description, status, priority, startDate, dueDate, recurrence, labelIds, assigneeIds } = req.body;
       const userId = req.user.id;
 
       // Check access - need edit permission
@@ -201,10 +595,11 @@ router.put(
 
       // Check if task exists and belongs to the task list
       const existingTask = await prisma.task.findUnique({
-        where: { id: taskId }
+        where: { id: taskId },
+        include: taskInclude
       });
 
-      if (!existingTask) {
+      if (!existingTask || existingTask.deletedAt) {
         return res.status(404).json({ 
           error: 'Task not found' 
         });
@@ -216,21 +611,108 @@ router.put(
         });
       }
 
+      if (labelIds && !(await labelsBelongToList(taskListId, labelIds))) {
+        return res.status(400).json({ 
+          error: 'One or more labels do not belong to this task list' 
+        });
+      }
+
+      if (assigneeIds && !(await assigneesAreMembers(taskListId, assigneeIds))) {
+        return res.status(400).json({ 
+          error: 'Tasks can only be assigned to the owner or users the list is shared with' 
+        });
+      }
+
+      // Tasks with incomplete blockers cannot be started or completed
+      if (status !== undefined) {
+        const blockers = await getBlockersForStatusChange(existingTask, status);
+        if (blockers.length > 0) {
+          return sendBlockedError(res, userId, status, blockers);
+        }
+      }
+
+      // Validate the resulting date range against the stored values
+      const nextStartDate = startDate !== undefined ? startDate : existingTask.startDate;
+      const nextDueDate = dueDate !== undefined ? dueDate : existingTask.dueDate;
+
+      if (!isValidDateRange(nextStartDate, nextDueDate)) {
+        return res.status(400).json({ 
+          error: 'Start date cannot be after the due date' 
+        });
+      }
+
       // Build update data
       const updateData = {};
       if (title !== undefined) updateData.title = title;
       if (description !== undefined) updateData.description = description;
       if (status !== undefined) updateData.status = status;
+      if (priority !== undefined) updateData.priority = priority;
+      if (startDate !== undefined) updateData.startDate = startDate ? new Date(startDate) : null;
+      if (dueDate !== undefined) updateData.dueDate = dueDate ? new Date(dueDate) : null;
+      if (recurrence !== undefined) updateData.recurrence = recurrence || null;
+      if (labelIds !== undefined) {
+        updateData.labels = { set: labelIds.map(id => ({ id })) };
+      }
+      if (assigneeIds !== undefined) {
+        updateData.assignees = {
+          deleteMany: {},
+          create: [...new Set(assigneeIds)].map(assigneeId => ({ userId: assigneeId }))
+        };
+      }
 
-      // Update task
-      const updatedTask = await prisma.task.update({
-        where: { id: taskId },
-        data: updateData
+      // Update task, spawning the next occurrence when a recurring task gets completed
+      const { updatedTask, completedTask, nextTask } = await prisma.$transaction(async (tx) => {
+        const updatedTask = await tx.task.update({
+          where: { id: taskId },
+          data: updateData,
+          include: taskInclude
+        });
+
+        if (updatedTask.status !== 'completed' || existingTask.status === 'completed' || !updatedTask.recurrence) {
+          return { updatedTask, completedTask: updatedTask, nextTask: null };
+        }
+
+        return { updatedTask, ...(await spawnNextOccurrence(tx, updatedTask)) };
       });
 
+      // A change that only touches the status is logged as a status change
+      const changedFields = Object.keys(diffEntity('task', existingTask, updatedTask));
+      const action = changedFields.length === 1 && changedFields[0] === 'status'
+        ? 'task.status_changed'
+        : 'task.updated';
+
+      let undo = null;
+      if (changedFields.length > 0) {
+        await recordActivity({
+          taskListId,
+          actorId: userId,
+          action,
+          entityType: 'task',
+          entityId: taskId,
+          before: existingTask,
+          after: updatedTask
+        });
+
+        undo = await createUndoToken({
+          userId,
+          taskListId,
+          action,
+          changes: {
+            tasks: [{ before: snapshotTask(existingTask), after: snapshotTask(completedTask) }],
+            createdTasks: nextTask ? [snapshotCreatedTask(nextTask)] : []
+          }
+        });
+      }
+
+      if (nextTask) {
+        await recordNextOccurrence(taskListId, userId, nextTask);
+      }
+
       res.json({
         message: 'Task updated successfully',
-        task: updatedTask
+        task: formatTask(completedTask),
+        ...(nextTask && { nextTask: formatTask(nextTask) }),
+        ...(undo && { undo })
       });
     } catch (error) {
       console.error('Update task error:', error);
@@ -249,7 +731,7 @@ router.patch(
   '/:taskListId/:taskId/status',
   [
     body('status')
-      .isIn(['pending', 'in_progress', 'completed'])
+      .isIn(TASK_STATUSES)
       .withMessage('Invalid status'),
   ],
   async (req, res) => {
@@ -281,10 +763,11 @@ router.patch(
 
       // Check if task exists and belongs to the task list
       const existingTask = await prisma.task.findUnique({
-        where: { id: taskId }
+        where: { id: taskId },
+        include: taskInclude
       });
 
-      if (!existingTask) {
+      if (!existingTask || existingTask.deletedAt) {
         return res.status(404).json({ 
           error: 'Task not found' 
         });
@@ -296,15 +779,59 @@ router.patch(
         });
       }
 
-      // Update task status
-      const updatedTask = await prisma.task.update({
-        where: { id: taskId },
-        data: { status }
+      // Tasks with incomplete blockers cannot be started or completed
+      const blockers = await getBlockersForStatusChange(existingTask, status);
+      if (blockers.length > 0) {
+        return sendBlockedError(res, userId, status, blockers);
+      }
+
+      // Update task status, spawning the next occurrence when a recurring task gets completed
+      const { updatedTask, completedTask, nextTask } = await prisma.$transaction(async (tx) => {
+        const updatedTask = await tx.task.update({
+          where: { id: taskId },
+          data: { status },
+          include: taskInclude
+        });
+
+        if (status !== 'completed' || existingTask.status === 'completed' || !updatedTask.recurrence) {
+          return { updatedTask, completedTask: updatedTask, nextTask: null };
+        }
+
+        return { updatedTask, ...(await spawnNextOccurrence(tx, updatedTask)) };
       });
 
+      let undo = null;
+      if (existingTask.status !== status) {
+        await recordActivity({
+          taskListId,
+          actorId: userId,
+          action: 'task.status_changed',
+          entityType: 'task',
+          entityId: taskId,
+          before: existingTask,
+          after: updatedTask
+        });
+
+        undo = await createUndoToken({
+          userId,
+          taskListId,
+          action: 'task.status_changed',
+          changes: {
+            tasks: [{ before: snapshotTask(existingTask), after: snapshotTask(completedTask) }],
+            createdTasks: nextTask ? [snapshotCreatedTask(nextTask)] : []
+          }
+        });
+      }
+
+      if (nextTask) {
+        await recordNextOccurrence(taskListId, userId, nextTask);
+      }
+
       res.json({
         message: 'Task status updated successfully',
-        task: updatedTask
+        task: formatTask(completedTask),
+        ...(nextTask && { nextTask: formatTask(nextTask) }),
+        ...(undo && { undo })
       });
     } catch (error) {
       console.error('Update task status error:', error);
@@ -316,39 +843,804 @@ router.patch(
 );
 
 /**
- * DELETE /api/tasks/:taskListId/:taskId
- * Delete a task
+ * PATCH /api/tasks/:taskListId/:taskId/reorder
+ * Move a task directly before or after another task in the same list
  */
-router.delete('/:taskListId/:taskId', async (req, res) => {
-  try {
-    const { taskListId, taskId } = req.params;
-    const userId = req.user.id;
+router.patch(
+  '/:taskListId/:taskId/reorder',
+  [
+    body('beforeTaskId')
+      .optional()
+      .isString()
+      .withMessage('beforeTaskId must be a task ID'),
+    body('afterTaskId')
+      .optional()
+      .isString()
+      .withMessage('afterTaskId must be a task ID'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Check access - need edit permission
-    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+      const { taskListId, taskId } = req.params;
+      const { beforeTaskId, afterTaskId } = req.body;
+      const userId = req.user.id;
 
-    if (!hasAccess) {
-      return res.status(403).json({ 
-        error: 'You do not have access to this task list' 
-      });
-    }
+      if (!beforeTaskId === !afterTaskId) {
+        return res.status(400).json({ 
+          error: 'Provide either beforeTaskId or afterTaskId' 
+        });
+      }
 
-    if (permission === 'view') {
-      return res.status(403).json({ 
-        error: 'You need edit permission to delete tasks' 
-      });
-    }
+      const anchorTaskId = beforeTaskId || afterTaskId;
 
-    // Check if task exists and belongs to the task list
-    const existingTask = await prisma.task.findUnique({
-      where: { id: taskId }
-    });
+      if (anchorTaskId === taskId) {
+        return res.status(400).json({ 
+          error: 'A task cannot be moved relative to itself' 
+        });
+      }
 
-    if (!existingTask) {
-      return res.status(404).json({ 
-        error: 'Task not found' 
-      });
-    }
+      // Check access - need edit permission
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: 'You need edit permission to reorder tasks' 
+        });
+      }
+
+      // Rewrite the positions of the whole list in a single transaction.
+      // Tasks in the trash keep their slot so a restore puts them back in place.
+      const tasks = await prisma.$transaction(async (tx) => {
+        const ordered = await tx.task.findMany({
+          where: { taskListId },
+          orderBy: [{ position: 'asc' }, { createdAt: 'desc' }],
+          select: { id: true, position: true, deletedAt: true }
+        });
+
+        const fromIndex = ordered.findIndex(task => task.id === taskId && !task.deletedAt);
+        if (fromIndex === -1) {
+          return null;
+        }
+
+        const [moved] = ordered.splice(fromIndex, 1);
+        const anchorIndex = ordered.findIndex(task => task.id === anchorTaskId && !task.deletedAt);
+        if (anchorIndex === -1) {
+          return null;
+        }
+
+        ordered.splice(beforeTaskId ? anchorIndex : anchorIndex + 1, 0, moved);
+
+        for (let index = 0; index < ordered.length; index++) {
+          if (ordered[index].position !== index) {
+            await tx.task.update({
+              where: { id: ordered[index].id },
+              data: { position: index }
+            });
+          }
+        }
+
+        return tx.task.findMany({
+          where: { taskListId, deletedAt: null },
+          include: taskInclude,
+          orderBy: [{ position: 'asc' }, { createdAt: 'desc' }]
+        });
+      });
+
+      if (!tasks) {
+        return res.status(404).json({ 
+          error: 'Task not found in this task list' 
+        });
+      }
+
+      await recordActivity({
+        taskListId,
+        actorId: userId,
+        action: 'task.reordered',
+        entityType: 'task',
+        entityId: taskId,
+        entityTitle: tasks.find(task => task.id === taskId).title
+      });
+
+      res.json({
+        message: 'Task reordered successfully',
+        tasks: tasks.map(task => formatTask(task))
+      });
+    } catch (error) {
+      console.error('Reorder task error:', error);
+      res.status(500).json({ 
+        error: 'Failed to reorder task' 
+      });
+    }
+  }
+);
+
+const BULK_ACTIONS = ['status', 'update', 'delete', 'move'];
+const BULK_UPDATE_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'startDate',
+  'dueDate',
+  'addLabelIds',
+  'removeLabelIds',
+  'addAssigneeIds',
+  'removeAssigneeIds'
+];
+const MAX_BULK_ITEMS = 500;
+
+/**
+ * Helper function to check the parameters each bulk action needs
+ */
+function validateBulkOperation(operation) {
+  if (!operation || typeof operation !== 'object') {
+    throw new Error('Each operation must be an object');
+  }
+  if (operation.action === 'status' && !TASK_STATUSES.includes(operation.status)) {
+    throw new Error('Invalid status');
+  }
+  if (operation.action === 'update') {
+    if (typeof operation.fields !== 'object' || !operation.fields) {
+      throw new Error('fields must be an object');
+    }
+    const unknownFields = Object.keys(operation.fields).filter(field => !BULK_UPDATE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown fields ${unknownFields.join(', ')}, fields can be: ${BULK_UPDATE_FIELDS.join(', ')}`);
+    }
+  }
+  if (operation.action === 'move' && typeof operation.targetTaskListId !== 'string') {
+    throw new Error('targetTaskListId is required to move tasks');
+  }
+  return true;
+}
+
+/**
+ * Helper function to find the labels with the same names in another task
+ * list, creating the missing ones with the same colors
+ */
+async function matchLabelsInList(tx, labels, targetTaskListId) {
+  const matched = [];
+  for (const label of labels) {
+    matched.push(await tx.label.upsert({
+      where: {
+        taskListId_name: { taskListId: targetTaskListId, name: label.name }
+      },
+      update: {},
+      create: { name: label.name, color: label.color, taskListId: targetTaskListId }
+    }));
+  }
+  return matched.map(label => ({ id: label.id }));
+}
+
+/**
+ * Helper function to get the position placing a task at the top of a list
+ */
+async function getTopPosition(tx, taskListId) {
+  const { _min } = await tx.task.aggregate({
+    where: { taskListId },
+    _min: { position: true }
+  });
+  return _min.position !== null ? _min.position - 1 : 0;
+}
+
+/**
+ * Helper function to move a task to the top of another task list inside a
+ * transaction. Labels are matched by name in the target list (and created
+ * there when missing); assignees who cannot access the target are dropped.
+ * Comments, attachments and dependencies stay with the task.
+ */
+async function moveTaskToList(tx, task, targetTaskListId, targetMemberIds) {
+  return tx.task.update({
+    where: { id: task.id },
+    data: {
+      taskListId: targetTaskListId,
+      position: await getTopPosition(tx, targetTaskListId),
+      labels: { set: await matchLabelsInList(tx, task.labels, targetTaskListId) },
+      assignees: { deleteMany: { userId: { notIn: targetMemberIds } } }
+    },
+    include: { ...taskInclude, taskList: { select: { title: true } } }
+  });
+}
+
+/**
+ * Helper function to copy a task to the top of another task list inside a
+ * transaction, with its fields, labels (matched by name), assignees who can
+ * access the target and checklist. Comments, attachments and dependencies
+ * are not copied.
+ */
+async function copyTaskToList(tx, task, targetTaskListId, targetMemberIds) {
+  return tx.task.create({
+    data: {
+      title: task.title,
+      description: task.description,
+      status: task.status,
+      priority: task.priority,
+      position: await getTopPosition(tx, targetTaskListId),
+      startDate: task.startDate,
+      dueDate: task.dueDate,
+      recurrence: task.recurrence,
+      taskListId: targetTaskListId,
+      labels: { connect: await matchLabelsInList(tx, task.labels, targetTaskListId) },
+      assignees: {
+        create: task.assignees
+          .filter(assignee => targetMemberIds.includes(assignee.userId))
+          .map(assignee => ({ userId: assignee.userId }))
+      },
+      items: {
+        create: task.items.map(item => ({
+          title: item.title,
+          isCompleted: item.isCompleted,
+          position: item.position
+        }))
+      }
+    },
+    include: taskInclude
+  });
+}
+
+/**
+ * Helper function to apply one bulk operation to one task inside the bulk
+ * transaction. Returns { ok, task?, error? }, queues the activity entries
+ * that must only be recorded once the transaction committed and collects the
+ * snapshots needed to undo the change.
+ */
+async function applyBulkItem(tx, { operation, taskId, taskListId, userId, targetMemberIds, effects, undoChanges }) {
+  const task = await tx.task.findUnique({
+    where: { id: taskId },
+    include: taskInclude
+  });
+
+  if (!task || task.taskListId !== taskListId || task.deletedAt) {
+    return { ok: false, error: 'Task not found in this task list' };
+  }
+
+  switch (operation.action) {
+    case 'status': {
+      const { status } = operation;
+      const blockers = await getBlockersForStatusChange(task, status, tx);
+      if (blockers.length > 0) {
+        return {
+          ok: false,
+          error: `This task cannot be moved to ${status.replace('_', ' ')} until its blockers are completed`
+        };
+      }
+
+      const updatedTask = await tx.task.update({
+        where: { id: taskId },
+        data: { status },
+        include: taskInclude
+      });
+
+      let completedTask = updatedTask;
+      let nextTask = null;
+      if (status === 'completed' && task.status !== 'completed' && updatedTask.recurrence) {
+        ({ completedTask, nextTask } = await spawnNextOccurrence(tx, updatedTask));
+      }
+
+      if (task.status !== status) {
+        effects.push(() => recordActivity({
+          taskListId,
+          actorId: userId,
+          action: 'task.status_changed',
+          entityType: 'task',
+          entityId: taskId,
+          before: task,
+          after: updatedTask
+        }));
+      }
+      if (nextTask) {
+        effects.push(() => recordNextOccurrence(taskListId, userId, nextTask));
+        undoChanges.createdTasks.push(snapshotCreatedTask(nextTask));
+      }
+
+      undoChanges.tasks.push({ before: snapshotTask(task), after: snapshotTask(completedTask) });
+      return { ok: true, task: formatTask(completedTask) };
+    }
+
+    case 'update': {
+      const {
+        title,
+        description,
+        priority,
+        startDate,
+        dueDate,
+        addLabelIds = [],
+        removeLabelIds = [],
+        addAssigneeIds = [],
+        removeAssigneeIds = []
+      } = operation.fields;
+
+      const nextStartDate = startDate !== undefined ? startDate : task.startDate;
+      const nextDueDate = dueDate !== undefined ? dueDate : task.dueDate;
+
+      if (!isValidDateRange(nextStartDate, nextDueDate)) {
+        return { ok: false, error: 'Start date cannot be after the due date' };
+      }
+
+      const updateData = {};
+      if (title !== undefined) updateData.title = title;
+      if (description !== undefined) updateData.description = description;
+      if (priority !== undefined) updateData.priority = priority;
+      if (startDate !== undefined) updateData.startDate = startDate ? new Date(startDate) : null;
+      if (dueDate !== undefined) updateData.dueDate = dueDate ? new Date(dueDate) : null;
+      if (addLabelIds.length > 0 || removeLabelIds.length > 0) {
+        updateData.labels = {
+          connect: addLabelIds.map(id => ({ id })),
+          disconnect: removeLabelIds.map(id => ({ id }))
+        };
+      }
+      if (addAssigneeIds.length > 0 || removeAssigneeIds.length > 0) {
+        // Users already assigned are skipped, a user can only be assigned once
+        const newAssigneeIds = [...new Set(addAssigneeIds)]
+          .filter(id => !task.assignees.some(assignee => assignee.userId === id));
+        updateData.assignees = {
+          deleteMany: { userId: { in: removeAssigneeIds.filter(id => !addAssigneeIds.includes(id)) } },
+          create: newAssigneeIds.map(assigneeId => ({ userId: assigneeId }))
+        };
+      }
+
+      const updatedTask = await tx.task.update({
+        where: { id: taskId },
+        data: updateData,
+        include: taskInclude
+      });
+
+      effects.push(() => recordActivity({
+        taskListId,
+        actorId: userId,
+        action: 'task.updated',
+        entityType: 'task',
+        entityId: taskId,
+        before: task,
+        after: updatedTask
+      }));
+
+      undoChanges.tasks.push({ before: snapshotTask(task), after: snapshotTask(updatedTask) });
+      return { ok: true, task: formatTask(updatedTask) };
+    }
+
+    case 'delete': {
+      // Deleted tasks go to the trash, see routes/trash.js
+      const deletedTask = await tx.task.update({
+        where: { id: taskId },
+        data: { deletedAt: new Date() },
+        include: taskInclude
+      });
+
+      effects.push(() => recordActivity({
+        taskListId,
+        actorId: userId,
+        action: 'task.deleted',
+        entityType: 'task',
+        entityId: taskId,
+        before: task
+      }));
+
+      undoChanges.tasks.push({ before: snapshotTask(task), after: snapshotTask(deletedTask) });
+      return { ok: true };
+    }
+
+    case 'move': {
+      const source = await tx.taskList.findUnique({
+        where: { id: taskListId },
+        select: { title: true }
+      });
+      const movedTask = await moveTaskToList(tx, task, operation.targetTaskListId, targetMemberIds[operation.targetTaskListId]);
+
+      // Log the move in both lists, the diff shows the list titles
+      for (const listId of [taskListId, operation.targetTaskListId]) {
+        effects.push(() => recordActivity({
+          taskListId: listId,
+          actorId: userId,
+          action: 'task.moved',
+          entityType: 'task',
+          entityId: taskId,
+          before: { ...task, taskList: source },
+          after: movedTask
+        }));
+      }
+
+      undoChanges.tasks.push({ before: snapshotTask(task), after: snapshotTask(movedTask) });
+      return { ok: true, task: formatTask(movedTask) };
+    }
+
+    default:
+      return { ok: false, error: 'Unknown action' };
+  }
+}
+
+/**
+ * POST /api/tasks/:taskListId/bulk
+ * Apply a batch of operations (status, update, delete, move) to many tasks in
+ * one transaction. With atomic (the default) nothing is saved unless every
+ * item succeeds; otherwise failed items are skipped and reported.
+ */
+router.post(
+  '/:taskListId/bulk',
+  [
+    body('operations')
+      .isArray({ min: 1, max: 20 })
+      .withMessage('operations must be an array of 1 to 20 operations')
+      .custom(operations => operations.reduce((sum, operation) => sum + (operation?.taskIds?.length || 0), 0) <= MAX_BULK_ITEMS)
+      .withMessage(`A bulk request can touch at most ${MAX_BULK_ITEMS} tasks`),
+    body('operations.*.action')
+      .isIn(BULK_ACTIONS)
+      .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+    body('operations.*.taskIds')
+      .isArray({ min: 1 })
+      .withMessage('taskIds must be a non-empty array'),
+    body('operations.*.taskIds.*')
+      .isString()
+      .withMessage('taskIds must contain task IDs'),
+    body('operations.*')
+      .custom(validateBulkOperation),
+    body('operations.*.fields.title')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Title cannot be empty')
+      .isLength({ max: 200 })
+      .withMessage('Title must be less than 200 characters'),
+    body('operations.*.fields.description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    body('operations.*.fields.priority')
+      .optional()
+      .isIn(TASK_PRIORITIES)
+      .withMessage('Invalid priority'),
+    body(['operations.*.fields.startDate', 'operations.*.fields.dueDate'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Dates must be valid dates'),
+    body(['operations.*.fields.addLabelIds', 'operations.*.fields.removeLabelIds'])
+      .optional()
+      .isArray()
+      .withMessage('Label IDs must be arrays'),
+    body(['operations.*.fields.addLabelIds.*', 'operations.*.fields.removeLabelIds.*'])
+      .isString()
+      .withMessage('Label IDs must contain label IDs'),
+    body(['operations.*.fields.addAssigneeIds', 'operations.*.fields.removeAssigneeIds'])
+      .optional()
+      .isArray()
+      .withMessage('Assignee IDs must be arrays'),
+    body(['operations.*.fields.addAssigneeIds.*', 'operations.*.fields.removeAssigneeIds.*'])
+      .isString()
+      .withMessage('Assignee IDs must contain user IDs'),
+    body('atomic')
+      .optional()
+      .isBoolean()
+      .withMessage('atomic must be a boolean')
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId } = req.params;
+      const { operations } = req.body;
+      const atomic = req.body.atomic !== false;
+      const userId = req.user.id;
+
+      // Check access - need edit permission
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: 'You need edit permission to update tasks' 
+        });
+      }
+
+      // Labels added or removed in bulk must belong to this list
+      const labelIds = operations
+        .filter(operation => operation.action === 'update')
+        .flatMap(operation => [...(operation.fields.addLabelIds || []), ...(operation.fields.removeLabelIds || [])]);
+
+      if (labelIds.length > 0 && !(await labelsBelongToList(taskListId, labelIds))) {
+        return res.status(400).json({ 
+          error: 'One or more labels do not belong to this task list' 
+        });
+      }
+
+      // So must the users assigned in bulk
+      const addedAssigneeIds = operations
+        .filter(operation => operation.action === 'update')
+        .flatMap(operation => operation.fields.addAssigneeIds || []);
+
+      if (addedAssigneeIds.length > 0 && !(await assigneesAreMembers(taskListId, addedAssigneeIds))) {
+        return res.status(400).json({ 
+          error: 'Tasks can only be assigned to the owner or users the list is shared with' 
+        });
+      }
+
+      // Moving tasks also needs edit permission on every target list
+      const targetMemberIds = {};
+      for (const operation of operations.filter(operation => operation.action === 'move')) {
+        const { targetTaskListId } = operation;
+
+        if (targetTaskListId === taskListId) {
+          return res.status(400).json({ 
+            error: 'Tasks are already in this task list' 
+          });
+        }
+
+        const target = await getUserPermission(targetTaskListId, userId);
+
+        if (!target.hasAccess || target.permission === 'view') {
+          return res.status(403).json({ 
+            error: 'You need edit permission on the target task list to move tasks' 
+          });
+        }
+
+        targetMemberIds[targetTaskListId] = await getTaskListMemberIds(targetTaskListId);
+      }
+
+      // Items failing in atomic mode roll the whole transaction back
+      const results = [];
+      const effects = [];
+      const undoChanges = { tasks: [], createdTasks: [] };
+      const rollback = new Error('Bulk operation rolled back');
+
+      try {
+        await prisma.$transaction(async (tx) => {
+          for (const [index, operation] of operations.entries()) {
+            for (const taskId of [...new Set(operation.taskIds)]) {
+              const result = await applyBulkItem(tx, {
+                operation,
+                taskId,
+                taskListId,
+                userId,
+                targetMemberIds,
+                effects,
+                undoChanges
+              });
+              results.push({ operation: index, action: operation.action, taskId, ...result });
+            }
+          }
+
+          if (atomic && results.some(result => !result.ok)) {
+            throw rollback;
+          }
+        }, { timeout: 30000 });
+      } catch (error) {
+        if (error !== rollback) {
+          throw error;
+        }
+
+        return res.status(409).json({ 
+          error: 'No changes were saved because some operations failed', 
+          applied: false, 
+          results: results.map(({ task, ...result }) => result) 
+        });
+      }
+
+      for (const effect of effects) {
+        await effect();
+      }
+
+      // The whole batch is undone at once
+      const undo = undoChanges.tasks.length > 0
+        ? await createUndoToken({ userId, taskListId, action: 'task.bulk', changes: undoChanges })
+        : null;
+
+      const failed = results.filter(result => !result.ok).length;
+
+      res.json({
+        message: 'Bulk operations applied',
+        applied: true,
+        results,
+        summary: {
+          succeeded: results.length - failed,
+          failed
+        },
+        ...(undo && { undo })
+      });
+    } catch (error) {
+      console.error('Bulk tasks error:', error);
+      res.status(500).json({ 
+        error: 'Failed to apply bulk operations' 
+      });
+    }
+  }
+);
+
+/**
+ * Helper function to build the handler moving or copying a task to another
+ * task list, which needs edit permission on both lists
+ */
+function transferTask(mode) {
+  return async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskListId, taskId } = req.params;
+      const { targetTaskListId } = req.body;
+      const userId = req.user.id;
+
+      // Check access - need edit permission on the source list
+      const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      if (permission === 'view') {
+        return res.status(403).json({ 
+          error: `You need edit permission to ${mode} tasks` 
+        });
+      }
+
+      if (mode === 'move' && targetTaskListId === taskListId) {
+        return res.status(400).json({ 
+          error: 'The task is already in this task list' 
+        });
+      }
+
+      // ...and on the target list
+      const target = await getUserPermission(targetTaskListId, userId);
+
+      if (!target.hasAccess || target.permission === 'view') {
+        return res.status(403).json({ 
+          error: `You need edit permission on the target task list to ${mode} tasks` 
+        });
+      }
+
+      // Check if task exists and belongs to the task list
+      const existingTask = await prisma.task.findUnique({
+        where: { id: taskId },
+        include: taskInclude
+      });
+
+      if (!existingTask || existingTask.deletedAt) {
+        return res.status(404).json({ 
+          error: 'Task not found' 
+        });
+      }
+
+      if (existingTask.taskListId !== taskListId) {
+        return res.status(400).json({ 
+          error: 'Task does not belong to this task list' 
+        });
+      }
+
+      const targetMemberIds = await getTaskListMemberIds(targetTaskListId);
+
+      if (mode === 'copy') {
+        const copy = await prisma.$transaction(tx =>
+          copyTaskToList(tx, existingTask, targetTaskListId, targetMemberIds)
+        );
+
+        await recordActivity({
+          taskListId: targetTaskListId,
+          actorId: userId,
+          action: 'task.created',
+          entityType: 'task',
+          entityId: copy.id,
+          after: copy
+        });
+
+        return res.status(201).json({
+          message: 'Task copied successfully',
+          task: formatTask(copy)
+        });
+      }
+
+      const source = await prisma.taskList.findUnique({
+        where: { id: taskListId },
+        select: { title: true }
+      });
+
+      const movedTask = await prisma.$transaction(tx =>
+        moveTaskToList(tx, existingTask, targetTaskListId, targetMemberIds)
+      );
+
+      // Log the move in both lists, the diff shows the list titles
+      for (const listId of [taskListId, targetTaskListId]) {
+        await recordActivity({
+          taskListId: listId,
+          actorId: userId,
+          action: 'task.moved',
+          entityType: 'task',
+          entityId: taskId,
+          before: { ...existingTask, taskList: source },
+          after: movedTask
+        });
+      }
+
+      res.json({
+        message: 'Task moved successfully',
+        task: formatTask(movedTask)
+      });
+    } catch (error) {
+      console.error(`${mode === 'move' ? 'Move' : 'Copy'} task error:`, error);
+      res.status(500).json({ 
+        error: `Failed to ${mode} task` 
+      });
+    }
+  };
+}
+
+const targetTaskListValidator = () => body('targetTaskListId')
+  .isString()
+  .notEmpty()
+  .withMessage('targetTaskListId is required');
+
+/**
+ * POST /api/tasks/:taskListId/:taskId/move
+ * Move a task to the top of another task list
+ */
+router.post('/:taskListId/:taskId/move', [targetTaskListValidator()], transferTask('move'));
+
+/**
+ * POST /api/tasks/:taskListId/:taskId/copy
+ * Copy a task to the top of another task list (or the same one)
+ */
+router.post('/:taskListId/:taskId/copy', [targetTaskListValidator()], transferTask('copy'));
+
+/**
+ * DELETE /api/tasks/:taskListId/:taskId
+ * Move a task to the trash
+ */
+router.delete('/:taskListId/:taskId', async (req, res) => {
+  try {
+    const { taskListId, taskId } = req.params;
+    const userId = req.user.id;
+
+    // Check access - need edit permission
+    const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this task list' 
+      });
+    }
+
+    if (permission === 'view') {
+      return res.status(403).json({ 
+        error: 'You need edit permission to delete tasks' 
+      });
+    }
+
+    // Check if task exists and belongs to the task list
+    const existingTask = await prisma.task.findUnique({
+      where: { id: taskId },
+      include: taskInclude
+    });
+
+    if (!existingTask || existingTask.deletedAt) {
+      return res.status(404).json({ 
+        error: 'Task not found' 
+      });
+    }
 
     if (existingTask.taskListId !== taskListId) {
       return res.status(400).json({ 
@@ -356,13 +1648,35 @@ router.delete('/:taskListId/:taskId', async (req, res) => {
         });
     }
 
-    // Delete task
-    await prisma.task.delete({
-      where: { id: taskId }
+    // Move the task to the trash, it can be restored until it is purged
+    const deletedTask = await prisma.task.update({
+      where: { id: taskId },
+      data: { deletedAt: new Date() },
+      include: taskInclude
+    });
+
+    await recordActivity({
+      taskListId,
+      actorId: userId,
+      action: 'task.deleted',
+      entityType: 'task',
+      entityId: taskId,
+      before: existingTask
+    });
+
+    const undo = await createUndoToken({
+      userId,
+      taskListId,
+      action: 'task.deleted',
+      changes: {
+        tasks: [{ before: snapshotTask(existingTask), after: snapshotTask(deletedTask) }]
+      }
     });
 
     res.json({
-      message: 'Task deleted successfully'
+      message: 'Task moved to the trash',
+      purgeAt: getPurgeDate(deletedTask.deletedAt),
+      undo
     });
   } catch (error) {
     console.error('Delete task error:', error);
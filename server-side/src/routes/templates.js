@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+const {
+  snapshotTaskList,
+  accessibleTemplatesWhere,
+  formatTemplate
+} = require('../utils/templates');
+const { canReceiveShares } = require('../utils/verification');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const templateInclude = {
+  owner: {
+    select: { id: true, email: true }
+  },
+  shares: {
+    include: {
+      user: {
+        select: { id: true, email: true }
+      }
+    }
+  }
+};
+
+/**
+ * Helper function to validate the list of emails a template is shared with
+ */
+const sharedWithValidator = () => [
+  body('sharedWith')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('sharedWith must be a list of at most 50 emails'),
+  body('sharedWith.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide valid emails'),
+];
+
+/**
+ * Helper function to find the users a template should be shared with.
+ * Returns { userIds } or { error } when an email cannot be shared with.
+ */
+async function resolveSharedWith(emails, ownerId) {
+  const users = await prisma.user.findMany({
+    where: { email: { in: emails } },
+    select: { id: true, email: true, emailVerifiedAt: true }
+  });
+
+  const missing = emails.find(email => !users.some(user => user.email === email));
+  if (missing) {
+    return { error: `User with email ${missing} is not registered in the system` };
+  }
+
+  if (users.some(user => user.id === ownerId)) {
+    return { error: 'You cannot share a template with yourself' };
+  }
+
+  const unverified = users.find(user => !canReceiveShares(user));
+  if (unverified) {
+    return { error: `User with email ${unverified.email} has not verified their email address yet` };
+  }
+
+  return { userIds: users.map(user => user.id) };
+}
+
+/**
+ * GET /api/templates
+ * Get the templates the user owns or that were shared with them
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const templates = await prisma.template.findMany({
+      where: accessibleTemplatesWhere(userId),
+      include: templateInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      templates: templates.map(template => formatTemplate(template, userId))
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch templates' 
+    });
+  }
+});
+
+/**
+ * GET /api/templates/:templateId
+ * Get a single template with its content
+ */
+router.get('/:templateId', async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const userId = req.user.id;
+
+    const template = await prisma.template.findFirst({
+      where: { id: templateId, ...accessibleTemplatesWhere(userId) },
+      include: templateInclude
+    });
+
+    if (!template) {
+      return res.status(404).json({ 
+        error: 'Template not found' 
+      });
+    }
+
+    res.json({
+      template: formatTemplate(template, userId)
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch template' 
+    });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Save a task list the user can access as a template
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 100 })
+      .withMessage('Name must be less than 100 characters'),
+    body('description')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    body('taskListId')
+      .notEmpty()
+      .withMessage('taskListId is required'),
+    ...sharedWithValidator(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, taskListId, sharedWith = [] } = req.body;
+      const userId = req.user.id;
+
+      const { hasAccess } = await getUserPermission(taskListId, userId);
+
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this task list' 
+        });
+      }
+
+      const { userIds, error } = await resolveSharedWith(sharedWith, userId);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const template = await prisma.template.create({
+        data: {
+          name,
+          description: description || null,
+          content: JSON.stringify(await snapshotTaskList(taskListId)),
+          ownerId: userId,
+          shares: {
+            create: userIds.map(id => ({ userId: id }))
+          }
+        },
+        include: templateInclude
+      });
+
+      res.status(201).json({
+        message: 'Template created successfully',
+        template: formatTemplate(template, userId)
+      });
+    } catch (error) {
+      console.error('Create template error:', error);
+      res.status(500).json({ 
+        error: 'Failed to create template' 
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/templates/:templateId
+ * Rename a template or change who it is shared with (owner only).
+ * `sharedWith` replaces the current list, an empty list makes it private.
+ */
+router.put(
+  '/:templateId',
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Name must be less than 100 characters'),
+    body('description')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    ...sharedWithValidator(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { templateId } = req.params;
+      const { name, description, sharedWith } = req.body;
+      const userId = req.user.id;
+
+      const template = await prisma.template.findFirst({
+        where: { id: templateId, ...accessibleTemplatesWhere(userId) }
+      });
+
+      if (!template) {
+        return res.status(404).json({ 
+          error: 'Template not found' 
+        });
+      }
+
+      if (template.ownerId !== userId) {
+        return res.status(403).json({ 
+          error: 'Only the owner can change a template' 
+        });
+      }
+
+      let userIds;
+      if (sharedWith !== undefined) {
+        const resolved = await resolveSharedWith(sharedWith, userId);
+
+        if (resolved.error) {
+          return res.status(400).json({ error: resolved.error });
+        }
+        userIds = resolved.userIds;
+      }
+
+      const updatedTemplate = await prisma.template.update({
+        where: { id: templateId },
+        data: {
+          ...(name && { name }),
+          ...(description !== undefined && { description: description || null }),
+          ...(userIds && {
+            shares: {
+              deleteMany: {},
+              create: userIds.map(id => ({ userId: id }))
+            }
+          })
+        },
+        include: templateInclude
+      });
+
+      res.json({
+        message: 'Template updated successfully',
+        template: formatTemplate(updatedTemplate, userId)
+      });
+    } catch (error) {
+      console.error('Update template error:', error);
+      res.status(500).json({ 
+        error: 'Failed to update template' 
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/templates/:templateId
+ * Delete a template (owner only), lists created from it are kept
+ */
+router.delete('/:templateId', async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const template = await prisma.template.findFirst({
+      where: { id: templateId, ...accessibleTemplatesWhere(req.user.id) }
+    });
+
+    if (!template) {
+      return res.status(404).json({ 
+        error: 'Template not found' 
+      });
+    }
+
+    if (template.ownerId !== req.user.id) {
+      return res.status(403).json({ 
+        error: 'Only the owner can delete a template' 
+      });
+    }
+
+    await prisma.template.delete({
+      where: { id: templateId }
+    });
+
+    res.json({
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete template' 
+    });
+  }
+});
+
+module.exports = router;
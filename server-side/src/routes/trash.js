@@ -0,0 +1,262 @@
+const express = require('express');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+const { taskInclude, formatTask } = require('../utils/tasks');
+const { recordActivity } = require('../utils/activity');
+const { retentionDays, getPurgeDate, purgeTrash } = require('../utils/trash');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Helper function to find a task list in the trash, making sure the user owns it
+ */
+async function findOwnedDeletedTaskList(id, userId) {
+  const taskList = await prisma.taskList.findUnique({
+    where: { id }
+  });
+
+  if (!taskList || !taskList.deletedAt || taskList.ownerId !== userId) {
+    return null;
+  }
+  return taskList;
+}
+
+/**
+ * Helper function to find a task in the trash whose list the user can edit.
+ * Returns { task } or { status, error }.
+ */
+async function findEditableDeletedTask(taskId, userId) {
+  const task = await prisma.task.findUnique({
+    where: { id: taskId },
+    include: taskInclude
+  });
+
+  if (!task || !task.deletedAt) {
+    return { status: 404, error: 'Task not found in the trash' };
+  }
+
+  const { hasAccess, permission, isArchived } = await getUserPermission(task.taskListId, userId);
+
+  if (!hasAccess) {
+    return { status: 404, error: 'Task not found in the trash' };
+  }
+
+  if (isArchived) {
+    return { status: 403, error: 'This task list is archived and read-only' };
+  }
+
+  if (permission === 'view') {
+    return { status: 403, error: 'You need edit permission to manage deleted tasks' };
+  }
+
+  return { task };
+}
+
+/**
+ * GET /api/trash
+ * Get the deleted task lists the user owns and the deleted tasks of lists
+ * they can edit, most recently deleted first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [taskLists, tasks] = await Promise.all([
+      prisma.taskList.findMany({
+        where: { ownerId: userId, deletedAt: { not: null } },
+        include: {
+          _count: {
+            select: { tasks: { where: { deletedAt: null } } }
+          }
+        },
+        orderBy: { deletedAt: 'desc' }
+      }),
+      // Archived lists are read-only, their tasks show up once unarchived
+      prisma.task.findMany({
+        where: {
+          deletedAt: { not: null },
+          taskList: {
+            deletedAt: null,
+            archivedAt: null,
+            OR: [
+              { ownerId: userId },
+              { shares: { some: { userId, permission: 'edit' } } }
+            ]
+          }
+        },
+        include: {
+          ...taskInclude,
+          taskList: {
+            select: { id: true, title: true }
+          }
+        },
+        orderBy: { deletedAt: 'desc' }
+      })
+    ]);
+
+    res.json({
+      retentionDays,
+      taskLists: taskLists.map(({ _count, ...taskList }) => ({
+        ...taskList,
+        taskCount: _count.tasks,
+        purgeAt: getPurgeDate(taskList.deletedAt)
+      })),
+      tasks: tasks.map(task => ({
+        ...formatTask(task),
+        purgeAt: getPurgeDate(task.deletedAt)
+      }))
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch trash' 
+    });
+  }
+});
+
+/**
+ * POST /api/trash/tasklists/:id/restore
+ * Restore a deleted task list with its tasks and shares (owner only)
+ */
+router.post('/tasklists/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const taskList = await findOwnedDeletedTaskList(id, userId);
+
+    if (!taskList) {
+      return res.status(404).json({ 
+        error: 'Task list not found in the trash' 
+      });
+    }
+
+    const restoredTaskList = await prisma.taskList.update({
+      where: { id },
+      data: { deletedAt: null }
+    });
+
+    await recordActivity({
+      taskListId: id,
+      actorId: userId,
+      action: 'task_list.restored',
+      entityType: 'task_list',
+      entityId: id,
+      after: restoredTaskList
+    });
+
+    res.json({
+      message: 'Task list restored successfully',
+      taskList: restoredTaskList
+    });
+  } catch (error) {
+    console.error('Restore task list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore task list' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/trash/tasklists/:id
+ * Permanently delete a task list from the trash (owner only)
+ */
+router.delete('/tasklists/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taskList = await findOwnedDeletedTaskList(id, req.user.id);
+
+    if (!taskList) {
+      return res.status(404).json({ 
+        error: 'Task list not found in the trash' 
+      });
+    }
+
+    await purgeTrash({ taskListIds: [id] });
+
+    res.json({
+      message: 'Task list permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge task list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to permanently delete task list' 
+    });
+  }
+});
+
+/**
+ * POST /api/trash/tasks/:taskId/restore
+ * Restore a deleted task to its place in its list (requires edit permission)
+ */
+router.post('/tasks/:taskId/restore', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const userId = req.user.id;
+
+    const { task, status, error } = await findEditableDeletedTask(taskId, userId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const restoredTask = await prisma.task.update({
+      where: { id: taskId },
+      data: { deletedAt: null },
+      include: taskInclude
+    });
+
+    await recordActivity({
+      taskListId: task.taskListId,
+      actorId: userId,
+      action: 'task.restored',
+      entityType: 'task',
+      entityId: taskId,
+      after: restoredTask
+    });
+
+    res.json({
+      message: 'Task restored successfully',
+      task: formatTask(restoredTask)
+    });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore task' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/trash/tasks/:taskId
+ * Permanently delete a task from the trash (requires edit permission)
+ */
+router.delete('/tasks/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const { status, error } = await findEditableDeletedTask(taskId, req.user.id);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await purgeTrash({ taskIds: [taskId] });
+
+    res.json({
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge task error:', error);
+    res.status(500).json({ 
+      error: 'Failed to permanently delete task' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { getUserPermission } = require('../utils/permissions');
+const { formatTask } = require('../utils/tasks');
+const { diffEntity, recordActivity } = require('../utils/activity');
+const { revertTasks, undoConflict } = require('../utils/undo');
+const { deleteAttachmentFiles } = require('../utils/attachments');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Helper function to undo a task list change inside a transaction (owner only)
+ */
+async function revertTaskList(tx, undoAction, userId) {
+  const { before, after } = JSON.parse(undoAction.changes).taskList;
+
+  const taskList = await tx.taskList.findUnique({
+    where: { id: undoAction.taskListId }
+  });
+
+  if (!taskList || taskList.ownerId !== userId) {
+    const error = new Error('Task list not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (undoAction.action === 'task_list.deleted') {
+    // Restored or deleted again in the meantime
+    if (!taskList.deletedAt || taskList.deletedAt.toISOString() !== after.deletedAt) {
+      throw undoConflict('The task list is no longer in the trash, the change cannot be undone');
+    }
+  } else if (taskList.deletedAt || taskList.archivedAt || taskList.title !== after.title) {
+    throw undoConflict('The task list was changed since, the change cannot be undone');
+  }
+
+  const restoredTaskList = await tx.taskList.update({
+    where: { id: taskList.id },
+    data: before
+  });
+
+  return { taskList, restoredTaskList };
+}
+
+/**
+ * Helper function to log the changes an undo made to tasks
+ */
+async function recordTaskReverts(userId, { reverted, createdTasks }) {
+  for (const { current, restored } of reverted) {
+    if (current.deletedAt && !restored.deletedAt) {
+      await recordActivity({
+        taskListId: restored.taskListId,
+        actorId: userId,
+        action: 'task.restored',
+        entityType: 'task',
+        entityId: restored.id,
+        after: restored
+      });
+    } else if (current.taskListId !== restored.taskListId) {
+      const taskLists = await prisma.taskList.findMany({
+        where: { id: { in: [current.taskListId, restored.taskListId] } },
+        select: { id: true, title: true }
+      });
+      const titleOf = id => ({ title: taskLists.find(taskList => taskList.id === id)?.title });
+
+      // Log the move in both lists, the diff shows the list titles
+      for (const listId of [current.taskListId, restored.taskListId]) {
+        await recordActivity({
+          taskListId: listId,
+          actorId: userId,
+          action: 'task.moved',
+          entityType: 'task',
+          entityId: restored.id,
+          before: { ...current, taskList: titleOf(current.taskListId) },
+          after: { ...restored, taskList: titleOf(restored.taskListId) }
+        });
+      }
+    } else {
+      const changedFields = Object.keys(diffEntity('task', current, restored));
+
+      await recordActivity({
+        taskListId: restored.taskListId,
+        actorId: userId,
+        action: changedFields.length === 1 && changedFields[0] === 'status'
+          ? 'task.status_changed'
+          : 'task.updated',
+        entityType: 'task',
+        entityId: restored.id,
+        before: current,
+        after: restored
+      });
+    }
+  }
+
+  for (const task of createdTasks) {
+    await recordActivity({
+      taskListId: task.taskListId,
+      actorId: userId,
+      action: 'task.deleted',
+      entityType: 'task',
+      entityId: task.id,
+      before: task
+    });
+  }
+}
+
+/**
+ * POST /api/undo/:token
+ * Undo a task or task list change using the token returned by the change.
+ * Tokens can be used once, by the user who made the change, until they expire.
+ */
+router.post('/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const userId = req.user.id;
+
+    const undoAction = await prisma.undoAction.findUnique({
+      where: { id: token }
+    });
+
+    if (!undoAction || undoAction.userId !== userId) {
+      return res.status(404).json({ 
+        error: 'Nothing to undo' 
+      });
+    }
+
+    if (undoAction.expiresAt < new Date()) {
+      await prisma.undoAction.delete({ where: { id: token } });
+
+      return res.status(410).json({ 
+        error: 'This change can no longer be undone' 
+      });
+    }
+
+    const isTaskListChange = undoAction.action.startsWith('task_list.');
+
+    // Task changes need edit permission on every list they touched
+    if (!isTaskListChange) {
+      const { tasks } = JSON.parse(undoAction.changes);
+      const taskListIds = new Set(tasks.flatMap(({ before, after }) => [before.taskListId, after.taskListId]));
+
+      for (const taskListId of taskListIds) {
+        const { hasAccess, permission } = await getUserPermission(taskListId, userId);
+
+        if (!hasAccess || permission === 'view') {
+          return res.status(403).json({ 
+            error: 'You need edit permission to undo this change' 
+          });
+        }
+      }
+    }
+
+    let result;
+    try {
+      result = await prisma.$transaction(async (tx) => {
+        // Deleting the token first makes a second undo of the same change fail
+        await tx.undoAction.delete({ where: { id: token } });
+
+        return isTaskListChange
+          ? revertTaskList(tx, undoAction, userId)
+          : revertTasks(tx, JSON.parse(undoAction.changes));
+      });
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+
+      return res.status(error.status).json({ 
+        error: error.message 
+      });
+    }
+
+    if (isTaskListChange) {
+      const { taskList, restoredTaskList } = result;
+
+      await recordActivity({
+        taskListId: taskList.id,
+        actorId: userId,
+        action: undoAction.action === 'task_list.deleted' ? 'task_list.restored' : 'task_list.updated',
+        entityType: 'task_list',
+        entityId: taskList.id,
+        before: taskList,
+        after: restoredTaskList
+      });
+
+      return res.json({
+        message: 'Change undone',
+        action: undoAction.action,
+        taskList: restoredTaskList
+      });
+    }
+
+    // Files of deleted next occurrences are only removed once the rows are gone
+    await deleteAttachmentFiles(result.attachmentKeys);
+
+    await recordTaskReverts(userId, result);
+
+    res.json({
+      message: 'Change undone',
+      action: undoAction.action,
+      tasks: result.reverted.map(({ restored }) => formatTask(restored))
+    });
+  } catch (error) {
+    console.error('Undo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to undo change' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const prisma = require('../utils/prisma');
+const { taskInclude, formatTask } = require('../utils/tasks');
+const { normalizeViewFilters, buildViewWhere, formatView } = require('../utils/views');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Helper function to validate a view filter definition
+ */
+const filtersValidator = () => body('filters')
+  .custom(value => {
+    normalizeViewFilters(value);
+    return true;
+  });
+
+/**
+ * Helper function to find a view, making sure it belongs to the user
+ */
+async function findUserView(viewId, userId) {
+  const view = await prisma.savedView.findUnique({
+    where: { id: viewId }
+  });
+
+  if (!view || view.userId !== userId) {
+    return null;
+  }
+  return view;
+}
+
+/**
+ * GET /api/views
+ * Get the saved views of the current user
+ */
+router.get('/', async (req, res) => {
+  try {
+    const views = await prisma.savedView.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      views: views.map(formatView)
+    });
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch views' 
+    });
+  }
+});
+
+/**
+ * POST /api/views
+ * Save a named filter definition
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 100 })
+      .withMessage('Name must be less than 100 characters'),
+    filtersValidator(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name } = req.body;
+      const userId = req.user.id;
+
+      // Check if a view with this name already exists
+      const existingView = await prisma.savedView.findUnique({
+        where: {
+          userId_name: { userId, name }
+        }
+      });
+
+      if (existingView) {
+        return res.status(400).json({ 
+          error: 'You already have a view with this name' 
+        });
+      }
+
+      const view = await prisma.savedView.create({
+        data: {
+          name,
+          filters: JSON.stringify(normalizeViewFilters(req.body.filters)),
+          userId
+        }
+      });
+
+      res.status(201).json({
+        message: 'View created successfully',
+        view: formatView(view)
+      });
+    } catch (error) {
+      console.error('Create view error:', error);
+      res.status(500).json({ 
+        error: 'Failed to create view' 
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/views/:viewId
+ * Rename a view or replace its filters
+ */
+router.put(
+  '/:viewId',
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Name must be less than 100 characters'),
+    filtersValidator().optional(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { viewId } = req.params;
+      const { name, filters } = req.body;
+      const userId = req.user.id;
+
+      const view = await findUserView(viewId, userId);
+
+      if (!view) {
+        return res.status(404).json({ 
+          error: 'View not found' 
+        });
+      }
+
+      // Check the new name is not taken by another view
+      if (name && name !== view.name) {
+        const existingView = await prisma.savedView.findUnique({
+          where: {
+            userId_name: { userId, name }
+          }
+        });
+
+        if (existingView) {
+          return res.status(400).json({ 
+            error: 'You already have a view with this name' 
+          });
+        }
+      }
+
+      const updatedView = await prisma.savedView.update({
+        where: { id: viewId },
+        data: {
+          ...(name && { name }),
+          ...(filters !== undefined && {
+            filters: JSON.stringify(normalizeViewFilters(filters))
+          })
+        }
+      });
+
+      res.json({
+        message: 'View updated successfully',
+        view: formatView(updatedView)
+      });
+    } catch (error) {
+      console.error('Update view error:', error);
+      res.status(500).json({ 
+        error: 'Failed to update view' 
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/views/:viewId
+ * Delete a saved view
+ */
+router.delete('/:viewId', async (req, res) => {
+  try {
+    const { viewId } = req.params;
+
+    const view = await findUserView(viewId, req.user.id);
+
+    if (!view) {
+      return res.status(404).json({ 
+        error: 'View not found' 
+      });
+    }
+
+    await prisma.savedView.delete({
+      where: { id: viewId }
+    });
+
+    res.json({
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete view' 
+    });
+  }
+});
+
+/**
+ * GET /api/views/:viewId/tasks
+ * Get the tasks matching a view across every accessible task list,
+ * most recently updated first
+ */
+router.get(
+  '/:viewId/tasks',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    query('cursor')
+      .optional()
+      .isString()
+      .withMessage('Invalid cursor'),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { viewId } = req.params;
+      const { limit, cursor } = req.query;
+      const userId = req.user.id;
+
+      const view = await findUserView(viewId, userId);
+
+      if (!view) {
+        return res.status(404).json({ 
+          error: 'View not found' 
+        });
+      }
+
+      // Get tasks, one more than the page size to know if there is a next page
+      const tasks = await prisma.task.findMany({
+        where: buildViewWhere(JSON.parse(view.filters), userId),
+        include: {
+          ...taskInclude,
+          taskList: {
+            select: { id: true, title: true }
+          }
+        },
+        orderBy: [{ updatedAt: 'desc' }, { id: 'desc' }],
+        ...(limit && { take: limit + 1 }),
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      const hasMore = Boolean(limit) && tasks.length > limit;
+      const page = hasMore ? tasks.slice(0, limit) : tasks;
+
+      res.json({
+        view: formatView(view),
+        tasks: page.map(task => formatTask(task)),
+        nextCursor: hasMore ? page[page.length - 1].id : null
+      });
+    } catch (error) {
+      console.error('Get view tasks error:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch view tasks' 
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,9 +4,21 @@ const cors = require('cors');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
 const taskListRoutes = require('./routes/tasklists');
+const labelRoutes = require('./routes/labels');
 const taskRoutes = require('./routes/tasks');
+const taskItemRoutes = require('./routes/taskItems');
+const commentRoutes = require('./routes/comments');
+const dependencyRoutes = require('./routes/dependencies');
+const attachmentRoutes = require('./routes/attachments');
 const shareRoutes = require('./routes/shares');
+const searchRoutes = require('./routes/search');
+const viewRoutes = require('./routes/views');
+const templateRoutes = require('./routes/templates');
+const trashRoutes = require('./routes/trash');
+const undoRoutes = require('./routes/undo');
+const { startTrashPurgeJob } = require('./utils/trash');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,16 +44,32 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       taskLists: '/api/tasklists',
       tasks: '/api/tasks',
-      shares: '/api/shares'
+      shares: '/api/shares',
+      search: '/api/search',
+      views: '/api/views',
+      templates: '/api/templates',
+      trash: '/api/trash',
+      undo: '/api/undo'
     }
   });
 });
 
 // API Routes
+app.use('/api/auth/me', accountRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/tasklists/:taskListId/labels', labelRoutes);
 app.use('/api/tasklists', taskListRoutes);
+app.use('/api/tasks/:taskListId/:taskId/items', taskItemRoutes);
+app.use('/api/tasks/:taskListId/:taskId/comments', commentRoutes);
+app.use('/api/tasks/:taskListId/:taskId/dependencies', dependencyRoutes);
+app.use('/api/tasks/:taskListId/:taskId/attachments', attachmentRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/shares', shareRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/undo', undoRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -66,6 +94,9 @@ app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📝 API Documentation: http://localhost:${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Permanently delete lists and tasks once their trash retention expires
+  startTrashPurgeJob();
 });
 
 // Graceful shutdown
@@ -0,0 +1,104 @@
+const prisma = require("./prisma");
+
+// Fields worth recording when they change
+const TRACKED_FIELDS = {
+  task: [
+    "title",
+    "description",
+    "status",
+    "priority",
+    "startDate",
+    "dueDate",
+    "recurrence",
+    "labels",
+    "assignees",
+    "taskList",
+  ],
+  task_list: ["title"],
+  share: ["permission", "email"],
+};
+
+/**
+ * Turn related records into comparable values for the activity diff
+ */
+const normalizeValue = (key, value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (key === "labels" && Array.isArray(value)) {
+    return value.map((label) => label.name).sort();
+  }
+  if (key === "taskList" && value) {
+    return value.title;
+  }
+  if (key === "assignees" && Array.isArray(value)) {
+    return value.map((assignee) => assignee.user?.email || assignee.userId).sort();
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Build a { field: { from, to } } diff of the tracked fields of an entity
+ */
+const diffEntity = (entityType, before, after) => {
+  const changes = {};
+
+  for (const key of TRACKED_FIELDS[entityType] || []) {
+    const from = before ? normalizeValue(key, before[key]) : null;
+    const to = after ? normalizeValue(key, after[key]) : null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Record an activity entry for a task list.
+ * Failures are logged but never break the request that triggered them.
+ */
+const recordActivity = async ({
+  taskListId,
+  actorId,
+  action,
+  entityType,
+  entityId,
+  entityTitle,
+  before = null,
+  after = null,
+}) => {
+  try {
+    const changes = diffEntity(entityType, before, after);
+    const entity = after || before || {};
+
+    await prisma.activity.create({
+      data: {
+        taskListId,
+        actorId,
+        action,
+        entityType,
+        entityId,
+        entityTitle: entityTitle || entity.title || entity.email || null,
+        changes: Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Record activity error:", error);
+  }
+};
+
+/**
+ * Parse the stored diff of an activity entry before sending it to the client
+ */
+const formatActivity = (activity) => ({
+  ...activity,
+  changes: activity.changes ? JSON.parse(activity.changes) : null,
+});
+
+module.exports = {
+  diffEntity,
+  recordActivity,
+  formatActivity,
+};
@@ -0,0 +1,96 @@
+const multer = require("multer");
+const prisma = require("./prisma");
+const { getStorage } = require("./storage");
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "text/markdown",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+const maxFileSize = Number(process.env.ATTACHMENT_MAX_SIZE) || DEFAULT_MAX_SIZE;
+
+const allowedTypes = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(",").map((type) => type.trim())
+  : DEFAULT_ALLOWED_TYPES;
+
+// Files are kept in memory until the storage backend has saved them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.status = 400;
+      return callback(error);
+    }
+    callback(null, true);
+  },
+}).single("file");
+
+/**
+ * Parse a multipart upload with a single "file" field.
+ * Rejects with an error carrying the HTTP status to answer with.
+ */
+const parseAttachmentUpload = (req, res) =>
+  new Promise((resolve, reject) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return resolve(req.file);
+      }
+      if (error.code === "LIMIT_FILE_SIZE") {
+        error.status = 413;
+        error.message = `File is too large (max ${Math.round(maxFileSize / 1024 / 1024)} MB)`;
+      } else if (error instanceof multer.MulterError) {
+        error.status = 400;
+      }
+      reject(error);
+    });
+  });
+
+/**
+ * Get the storage keys of the attachments matching a filter, so their files
+ * can be removed once the database rows are gone
+ */
+const collectAttachmentKeys = async (where, db = prisma) => {
+  const attachments = await db.attachment.findMany({
+    where,
+    select: { storageKey: true },
+  });
+  return attachments.map((attachment) => attachment.storageKey);
+};
+
+/**
+ * Remove stored attachment files. Failures are logged, not thrown.
+ */
+const deleteAttachmentFiles = async (keys) => {
+  const storage = getStorage();
+
+  await Promise.all(
+    keys.map((key) =>
+      storage.remove(key).catch((error) => {
+        console.error("Delete attachment file error:", error);
+      })
+    )
+  );
+};
+
+module.exports = {
+  maxFileSize,
+  allowedTypes,
+  parseAttachmentUpload,
+  collectAttachmentKeys,
+  deleteAttachmentFiles,
+};
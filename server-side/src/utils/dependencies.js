@@ -0,0 +1,84 @@
+const prisma = require("./prisma");
+const { accessibleTaskListsWhere } = require("./permissions");
+const { activeTaskWhere } = require("./tasks");
+
+// Statuses that can only be entered once every blocker is completed
+const BLOCKED_STATUSES = ["in_progress", "completed"];
+
+/**
+ * Get the blockers of a task that are not completed yet, ignoring blockers
+ * in the trash. Pass a transaction client as `db` to see changes made inside it.
+ */
+const getIncompleteBlockers = (taskId, db = prisma) =>
+  db.task.findMany({
+    where: {
+      blocking: { some: { taskId } },
+      status: { not: "completed" },
+      ...activeTaskWhere,
+    },
+    select: { id: true, title: true, status: true, taskListId: true },
+  });
+
+/**
+ * Check whether moving a task to a status is prevented by incomplete blockers.
+ * Returns the incomplete blockers, or an empty array when the change is allowed.
+ */
+const getBlockersForStatusChange = async (task, status, db = prisma) => {
+  if (!BLOCKED_STATUSES.includes(status) || task.status === status) {
+    return [];
+  }
+  return getIncompleteBlockers(task.id, db);
+};
+
+/**
+ * Check whether making `blockerId` a blocker of `taskId` would create a cycle,
+ * i.e. whether the blocker already (transitively) depends on the task
+ */
+const createsDependencyCycle = async (taskId, blockerId) => {
+  const visited = new Set();
+  let frontier = [blockerId];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(taskId)) {
+      return true;
+    }
+    frontier.forEach((id) => visited.add(id));
+
+    const dependencies = await prisma.taskDependency.findMany({
+      where: { taskId: { in: frontier } },
+      select: { blockerId: true },
+    });
+
+    frontier = [...new Set(dependencies.map((dependency) => dependency.blockerId))]
+      .filter((id) => !visited.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * Hide the details of linked tasks that live in lists the user cannot access
+ */
+const hideInaccessibleTasks = async (tasks, userId) => {
+  const accessibleLists = await prisma.taskList.findMany({
+    where: {
+      id: { in: [...new Set(tasks.map((task) => task.taskListId))] },
+      ...accessibleTaskListsWhere(userId),
+    },
+    select: { id: true },
+  });
+  const accessibleIds = accessibleLists.map((list) => list.id);
+
+  return tasks.map((task) =>
+    accessibleIds.includes(task.taskListId)
+      ? { ...task, isAccessible: true }
+      : { id: task.id, status: task.status, isAccessible: false }
+  );
+};
+
+module.exports = {
+  getIncompleteBlockers,
+  getBlockersForStatusChange,
+  createsDependencyCycle,
+  hideInaccessibleTasks,
+};
@@ -1,11 +1,11 @@
 const jwt = require("jsonwebtoken");
 
 /**
- * Generate JWT token for a user
+ * Generate a short-lived access token for a user session
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
   });
 };
 
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Mail transports.
+ *
+ * A transport is an object with:
+ * - send({ from, to, subject, text }): Promise, delivers one email
+ *
+ * Transports are created by a factory registered under a name; the one in use
+ * is picked with the MAIL_TRANSPORT environment variable (defaults to "file").
+ */
+
+/**
+ * Write every email to a file in a local directory instead of sending it, so
+ * development works offline
+ */
+const createFileTransport = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  return {
+    send: async ({ from, to, subject, text }) => {
+      await fs.promises.mkdir(root, { recursive: true });
+
+      const date = new Date();
+      const fileName = `${date.toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID()}.eml`;
+      const message = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${date.toUTCString()}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text,
+      ].join("\n");
+
+      await fs.promises.writeFile(path.join(root, fileName), message);
+    },
+  };
+};
+
+const transports = {
+  file: () =>
+    createFileTransport({
+      directory: process.env.MAIL_DIR || path.join(__dirname, "../../mail"),
+    }),
+};
+
+let transport = null;
+
+/**
+ * Register a mail transport factory (e.g. for SMTP) under a name
+ */
+const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = null;
+};
+
+/**
+ * Get the configured mail transport
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "file";
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ */
+const sendMail = ({ to, subject, text }) =>
+  getMailTransport().send({
+    from: process.env.MAIL_FROM || "Task Manager <no-reply@localhost>",
+    to,
+    subject,
+    text,
+  });
+
+/**
+ * Build a link to the client app, e.g. for the token of a reset email
+ */
+const getAppUrl = (params) => {
+  const url = new URL(process.env.APP_URL || "http://localhost:5173");
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+module.exports = {
+  createFileTransport,
+  registerMailTransport,
+  getMailTransport,
+  sendMail,
+  getAppUrl,
+};
@@ -0,0 +1,83 @@
+const prisma = require("./prisma");
+
+/**
+ * Check user's permission for a task list.
+ * Lists in the trash cannot be accessed. Archived lists are read-only, so
+ * everyone (the owner included) only gets view permission on them.
+ */
+async function getUserPermission(taskListId, userId) {
+  const taskList = await prisma.taskList.findUnique({
+    where: { id: taskListId },
+    include: {
+      shares: {
+        where: { userId },
+      },
+    },
+  });
+
+  if (!taskList || taskList.deletedAt) {
+    return { hasAccess: false, permission: null, taskList: null };
+  }
+
+  const isOwner = taskList.ownerId === userId;
+  const share = taskList.shares[0];
+  const isArchived = Boolean(taskList.archivedAt);
+
+  if (isOwner) {
+    return {
+      hasAccess: true,
+      permission: isArchived ? "view" : "owner",
+      taskList,
+      isOwner: true,
+      isArchived,
+    };
+  }
+
+  if (share) {
+    return {
+      hasAccess: true,
+      permission: isArchived ? "view" : share.permission,
+      taskList,
+      isOwner: false,
+      isArchived,
+    };
+  }
+
+  return { hasAccess: false, permission: null, taskList: null };
+}
+
+/**
+ * Get the IDs of everyone who can access a task list (owner + shared users)
+ */
+async function getTaskListMemberIds(taskListId) {
+  const taskList = await prisma.taskList.findUnique({
+    where: { id: taskListId },
+    select: {
+      ownerId: true,
+      shares: { select: { userId: true } },
+    },
+  });
+
+  if (!taskList) {
+    return [];
+  }
+
+  return [taskList.ownerId, ...taskList.shares.map((share) => share.userId)];
+}
+
+/**
+ * Prisma filter for every task list a user owns or has been shared,
+ * leaving out lists in the trash
+ */
+function accessibleTaskListsWhere(userId) {
+  return {
+    deletedAt: null,
+    OR: [{ ownerId: userId }, { shares: { some: { userId } } }],
+  };
+}
+
+module.exports = {
+  getUserPermission,
+  getTaskListMemberIds,
+  accessibleTaskListsWhere,
+};
@@ -0,0 +1,317 @@
+const { accessibleTaskListsWhere } = require("./permissions");
+const {
+  DAY_MS,
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  startOfUtcDay,
+  resolveRelativeDate,
+} = require("./tasks");
+
+const DATE_FIELDS = { created: "createdAt", updated: "updatedAt", due: "dueDate" };
+const FIELDS = ["status", "priority", "list", "label", "assignee", ...Object.keys(DATE_FIELDS)];
+
+/**
+ * Build an error pointing at a character of the query (0-based)
+ */
+const queryError = (message, position) => {
+  const error = new Error(`${message} at position ${position}`);
+  error.position = position;
+  return error;
+};
+
+/**
+ * Read a double-quoted phrase starting at `start`, returns [text, end]
+ */
+const readPhrase = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    throw queryError("Missing closing quote", start);
+  }
+  return [input.slice(start + 1, end), end + 1];
+};
+
+/**
+ * Split a query into tokens: ( ) OR AND NOT and terms, each with its position
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position: i });
+      i += 1;
+    } else if (char === "-" && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: "NOT", position: i });
+      i += 1;
+    } else if (char === '"') {
+      const [value, end] = readPhrase(input, i);
+      tokens.push({ type: "TERM", value, position: i });
+      i = end;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) {
+        i += 1;
+      }
+      const word = input.slice(start, i);
+      const field = /^([a-z]+):/i.exec(word);
+
+      if (word === "OR" || word === "AND") {
+        tokens.push({ type: word, position: start });
+      } else if (field) {
+        // field:value or field:"quoted value"
+        let value = word.slice(field[0].length);
+        let valuePosition = start + field[0].length;
+
+        if (!value && input[i] === '"') {
+          [value, i] = readPhrase(input, i);
+          valuePosition += 1;
+        }
+        if (!value) {
+          throw queryError(`Missing value for "${field[0]}"`, start);
+        }
+        tokens.push({
+          type: "TERM",
+          field: field[1].toLowerCase(),
+          value,
+          position: start,
+          valuePosition,
+        });
+      } else {
+        tokens.push({ type: "TERM", value: word, position: start });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a task query into a syntax tree.
+ *
+ *   query := and ("OR" and)*
+ *   and   := not ("AND"? not)*
+ *   not   := "-" not | "(" query ")" | term
+ *
+ * Throws an Error with a `position` when the query is invalid.
+ */
+const parseQuery = (input) => {
+  const tokens = tokenize(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = input.length;
+
+  const parseNot = () => {
+    const token = peek();
+
+    if (!token) {
+      throw queryError("Unexpected end of query", endPosition);
+    }
+
+    index += 1;
+
+    if (token.type === "NOT") {
+      return { type: "not", node: parseNot() };
+    }
+    if (token.type === "(") {
+      const node = parseOr();
+      if (peek()?.type !== ")") {
+        throw queryError("Missing closing parenthesis", token.position);
+      }
+      index += 1;
+      return node;
+    }
+    if (token.type === "TERM") {
+      return { ...token, type: token.field ? "field" : "text" };
+    }
+    throw queryError(`Unexpected "${token.type}"`, token.position);
+  };
+
+  const parseAnd = () => {
+    const nodes = [parseNot()];
+
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") {
+        index += 1;
+      }
+      nodes.push(parseNot());
+    }
+
+    return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+  };
+
+  const parseOr = () => {
+    const nodes = [parseAnd()];
+
+    while (peek()?.type === "OR") {
+      index += 1;
+      nodes.push(parseAnd());
+    }
+
+    return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+  };
+
+  if (tokens.length === 0) {
+    throw queryError("Query is empty", 0);
+  }
+
+  const tree = parseOr();
+
+  if (peek()) {
+    throw queryError(`Unexpected "${peek().type}"`, peek().position);
+  }
+
+  return tree;
+};
+
+/**
+ * Compile a date comparison such as ">=2026-01-01", "today" or "<7d".
+ * Calendar dates are whole UTC days. Relative values compare the age:
+ * "<7d" means less than 7 days ago, ">2w" more than 2 weeks ago.
+ */
+const compileDate = (node, now) => {
+  const [, operator = "", value] = /^(>=|<=|>|<)?(.*)$/.exec(node.value);
+  const valuePosition = node.valuePosition + operator.length;
+
+  const relativeDate = resolveRelativeDate(value, now);
+  if (relativeDate) {
+    if (node.field === "due") {
+      throw queryError("Relative dates are only supported for created: and updated:", valuePosition);
+    }
+    return operator.startsWith(">") ? { lt: relativeDate } : { gte: relativeDate };
+  }
+
+  let start;
+  if (value === "today") {
+    start = startOfUtcDay(now);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) {
+    start = new Date(value);
+  } else {
+    throw queryError(
+      `Invalid date "${value}", use YYYY-MM-DD, today or a relative value like 7d`,
+      valuePosition
+    );
+  }
+
+  const end = new Date(start.getTime() + DAY_MS);
+  switch (operator) {
+    case ">":
+      return { gte: end };
+    case ">=":
+      return { gte: start };
+    case "<":
+      return { lt: start };
+    case "<=":
+      return { lt: end };
+    default:
+      return { gte: start, lt: end };
+  }
+};
+
+/**
+ * Compile a field:value term on a column that is never NULL
+ */
+const compileFieldCondition = (node, userId) => {
+  const value = node.value;
+
+  switch (node.field) {
+    case "status": {
+      const status = value.toLowerCase().replace("-", "_");
+      if (!TASK_STATUSES.includes(status)) {
+        throw queryError(`Unknown status "${value}"`, node.valuePosition);
+      }
+      return { status };
+    }
+    case "priority": {
+      const priority = value.toLowerCase();
+      if (!TASK_PRIORITIES.includes(priority)) {
+        throw queryError(`Unknown priority "${value}"`, node.valuePosition);
+      }
+      return { priority };
+    }
+    case "list":
+      return { OR: [{ taskListId: value }, { taskList: { title: { contains: value } } }] };
+    case "label":
+      return { labels: { some: { name: value } } };
+    case "assignee":
+      return {
+        assignees: {
+          some: value === "me" ? { userId } : { user: { email: value.toLowerCase() } },
+        },
+      };
+    default:
+      throw queryError(
+        `Unknown field "${node.field}:", use one of ${FIELDS.map((field) => `${field}:`).join(", ")}`,
+        node.position
+      );
+  }
+};
+
+/**
+ * Compile a field:value term to a Prisma condition, or to its negation when
+ * `negated` is set
+ */
+const compileField = (node, userId, now, negated) => {
+  if (DATE_FIELDS[node.field]) {
+    const column = DATE_FIELDS[node.field];
+    const condition = { [column]: compileDate(node, now) };
+    // NOT on a NULL date is NULL in SQL, tasks without the date match the negation
+    return negated ? { OR: [{ [column]: null }, { NOT: condition }] } : condition;
+  }
+
+  const condition = compileFieldCondition(node, userId);
+  return negated ? { NOT: condition } : condition;
+};
+
+/**
+ * Compile a syntax tree to a Prisma `where` clause. Negations are pushed down
+ * to the terms, which handle NULL columns themselves.
+ */
+const compileNode = (node, userId, now, negated = false) => {
+  const compileChildren = () => node.nodes.map((child) => compileNode(child, userId, now, negated));
+
+  switch (node.type) {
+    case "and":
+      return negated ? { OR: compileChildren() } : { AND: compileChildren() };
+    case "or":
+      return negated ? { AND: compileChildren() } : { OR: compileChildren() };
+    case "not":
+      return compileNode(node.node, userId, now, !negated);
+    case "field":
+      return compileField(node, userId, now, negated);
+    default:
+      if (negated) {
+        return {
+          AND: [
+            { NOT: { title: { contains: node.value } } },
+            { OR: [{ description: null }, { NOT: { description: { contains: node.value } } }] },
+          ],
+        };
+      }
+      return {
+        OR: [{ title: { contains: node.value } }, { description: { contains: node.value } }],
+      };
+  }
+};
+
+/**
+ * Parse a task query and compile it to a Prisma `where` clause that only
+ * matches tasks of lists the user owns or has been shared, outside the trash.
+ * Throws an Error with a `position` when the query is invalid.
+ */
+const buildQueryWhere = (input, userId, now = new Date()) => ({
+  AND: [
+    { deletedAt: null, taskList: accessibleTaskListsWhere(userId) },
+    compileNode(parseQuery(input), userId, now),
+  ],
+});
+
+module.exports = {
+  parseQuery,
+  buildQueryWhere,
+};
@@ -0,0 +1,169 @@
+/**
+ * Rate limit stores.
+ *
+ * A store is an object with:
+ * - increment(key, windowMs): Promise<{ count, resetAt }>, counts a hit for the
+ *   key in a window that starts with its first hit and lasts windowMs
+ * - get(key): Promise<{ count, resetAt } | null>, null once the window is over
+ * - reset(key): Promise, forgets the key
+ *
+ * Stores are created by a factory registered under a name; the one in use is
+ * picked with the RATE_LIMIT_STORE environment variable (defaults to
+ * "memory"). The memory store only sees the requests of its own process.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Failed sign-ins are forgotten a day after the first one
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * MINUTE_MS;
+
+// Failed sign-ins to an account before it gets locked
+const loginLockoutThreshold = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+// First lockout, doubled on every further failure up to the maximum
+const loginLockoutSeconds = Number(process.env.LOGIN_LOCKOUT_SECONDS) || 60;
+const loginLockoutMaxSeconds = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+
+/**
+ * Keep the counters in a Map, expired keys are swept every minute
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, MINUTE_MS);
+  // Must not keep the process alive
+  sweep.unref();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      return null;
+    }
+    return { ...entry };
+  };
+
+  return {
+    get,
+    increment: async (key, windowMs) => {
+      const entry = (await get(key)) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+const stores = {
+  memory: createMemoryStore,
+};
+
+let store = null;
+
+/**
+ * Register a rate limit store factory (e.g. for Redis) under a name
+ */
+const registerRateLimitStore = (name, factory) => {
+  stores[name] = factory;
+  store = null;
+};
+
+/**
+ * Get the configured rate limit store
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!stores[name]) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    store = stores[name]();
+  }
+  return store;
+};
+
+/**
+ * Get the number of seconds until a time, at least 1
+ */
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+/**
+ * Describe a wait for error messages, e.g. "45 seconds" or "4 minutes"
+ */
+const formatWait = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+/**
+ * Count a request against a limit. Returns the number of seconds to wait
+ * when the limit is exceeded, 0 otherwise.
+ */
+const consumeRateLimit = async (key, { max, windowMs }) => {
+  const { count, resetAt } = await getRateLimitStore().increment(`limit:${key}`, windowMs);
+  return count > max ? secondsUntil(resetAt) : 0;
+};
+
+/**
+ * Get the number of seconds an account stays locked after failed sign-ins,
+ * 0 when it is not locked
+ */
+const getLoginLockoutSeconds = async (email) => {
+  const lock = await getRateLimitStore().get(`lockout:${email}`);
+  return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+/**
+ * Count a failed sign-in to an account and lock it once there were too many.
+ * Every failure past the threshold doubles the lockout. Returns the number of
+ * seconds the account is now locked, 0 when it is not.
+ */
+const recordLoginFailure = async (email) => {
+  const rateLimitStore = getRateLimitStore();
+  const { count } = await rateLimitStore.increment(`failures:${email}`, LOGIN_FAILURE_WINDOW_MS);
+
+  if (count < loginLockoutThreshold) {
+    return 0;
+  }
+
+  const lockoutSeconds = Math.min(
+    loginLockoutSeconds * 2 ** (count - loginLockoutThreshold),
+    loginLockoutMaxSeconds
+  );
+
+  await rateLimitStore.reset(`lockout:${email}`);
+  await rateLimitStore.increment(`lockout:${email}`, lockoutSeconds * 1000);
+  return lockoutSeconds;
+};
+
+/**
+ * Forget the failed sign-ins of an account after a successful one
+ */
+const clearLoginFailures = async (email) => {
+  const rateLimitStore = getRateLimitStore();
+  await rateLimitStore.reset(`failures:${email}`);
+  await rateLimitStore.reset(`lockout:${email}`);
+};
+
+module.exports = {
+  createMemoryStore,
+  registerRateLimitStore,
+  getRateLimitStore,
+  formatWait,
+  consumeRateLimit,
+  getLoginLockoutSeconds,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,176 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Upper bound on generated candidates, so a bad rule can never loop forever
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Parse an RRULE-style recurrence string, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH".
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly only),
+ * BYMONTHDAY (monthly only) and UNTIL (YYYYMMDD or YYYYMMDDTHHMMSSZ). Throws an Error with a readable
+ * message when the rule is invalid.
+ */
+const parseRecurrence = (rule) => {
+  const parts = {};
+
+  for (const part of String(rule).replace(/^RRULE:/i, "").split(";")) {
+    if (!part) continue;
+    const [key, value] = part.split("=");
+    if (!value) {
+      throw new Error(`Invalid recurrence part "${part}"`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const recurrence = {
+    freq: parts.FREQ,
+    interval: 1,
+    byDay: null,
+    byMonthDay: null,
+    until: null,
+  };
+
+  if (!FREQUENCIES.includes(recurrence.freq)) {
+    throw new Error("Recurrence FREQ must be DAILY, WEEKLY or MONTHLY");
+  }
+
+  for (const key of Object.keys(parts)) {
+    if (!["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "UNTIL"].includes(key)) {
+      throw new Error(`Unsupported recurrence part "${key}"`);
+    }
+  }
+
+  if (parts.INTERVAL !== undefined) {
+    const interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      throw new Error("Recurrence INTERVAL must be between 1 and 365");
+    }
+    recurrence.interval = interval;
+  }
+
+  if (parts.BYDAY !== undefined) {
+    if (recurrence.freq !== "WEEKLY") {
+      throw new Error("Recurrence BYDAY is only supported with FREQ=WEEKLY");
+    }
+    const days = [...new Set(parts.BYDAY.split(","))];
+    if (days.length === 0 || !days.every((day) => WEEKDAYS.includes(day))) {
+      throw new Error("Recurrence BYDAY must be a list of MO, TU, WE, TH, FR, SA, SU");
+    }
+    recurrence.byDay = days.map((day) => WEEKDAYS.indexOf(day));
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    if (recurrence.freq !== "MONTHLY") {
+      throw new Error("Recurrence BYMONTHDAY is only supported with FREQ=MONTHLY");
+    }
+    const monthDay = Number(parts.BYMONTHDAY);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      throw new Error("Recurrence BYMONTHDAY must be between 1 and 31");
+    }
+    recurrence.byMonthDay = monthDay;
+  }
+
+  if (parts.UNTIL !== undefined) {
+    const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    if (!match) {
+      throw new Error("Recurrence UNTIL must be formatted as YYYYMMDD");
+    }
+    const [, year, month, day, hours = "23", minutes = "59", seconds = "59"] = match;
+    recurrence.until = new Date(
+      Date.UTC(year, month - 1, day, hours, minutes, seconds)
+    );
+  }
+
+  return recurrence;
+};
+
+/**
+ * Add months to a date and move it to `day` of that month (the day of the
+ * date by default), clamping to the last day of shorter months
+ */
+const addMonths = (date, months, day = new Date(date).getUTCDate()) => {
+  const result = new Date(date);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Calculate the next occurrence of a recurring task.
+ * Occurrences are generated from the anchor date (usually the previous due date)
+ * and the first one that lies after both the anchor and `now` is returned, so
+ * completing a task late skips the occurrences that were missed. Weekdays are
+ * evaluated in UTC. Monthly occurrences fall on BYMONTHDAY, or on the day of
+ * the anchor without it. Returns null when the recurrence has ended.
+ */
+const getNextOccurrence = (rule, anchor, now = new Date()) => {
+  const recurrence = parseRecurrence(rule);
+  const start = new Date(anchor);
+  const after = start > now ? start : now;
+  let next = null;
+
+  if (recurrence.freq === "MONTHLY") {
+    for (let step = 1; step <= MAX_ITERATIONS && !next; step++) {
+      const candidate = addMonths(start, step * recurrence.interval, recurrence.byMonthDay || undefined);
+      if (candidate > after) next = candidate;
+    }
+  } else if (recurrence.freq === "WEEKLY" && recurrence.byDay) {
+    // Jump ahead by whole periods first, keeping the week alignment of the anchor
+    const periodDays = 7 * recurrence.interval;
+    const periods = Math.max(0, Math.floor((after - start) / (periodDays * DAY_MS)));
+    const from = new Date(start.getTime() + periods * periodDays * DAY_MS);
+    const anchorWeek = Math.floor(
+      (start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS) / DAY_MS
+    );
+
+    for (let offset = 0; offset <= 2 * periodDays && !next; offset++) {
+      const candidate = new Date(from.getTime() + offset * DAY_MS);
+      const candidateWeek = Math.floor(
+        (candidate.getTime() - ((candidate.getUTCDay() + 6) % 7) * DAY_MS) / DAY_MS
+      );
+      const weekIndex = Math.round((candidateWeek - anchorWeek) / 7);
+
+      if (
+        candidate > after &&
+        recurrence.byDay.includes(candidate.getUTCDay()) &&
+        weekIndex % recurrence.interval === 0
+      ) {
+        next = candidate;
+      }
+    }
+  } else {
+    const stepMs = (recurrence.freq === "WEEKLY" ? 7 : 1) * recurrence.interval * DAY_MS;
+    const steps = Math.floor((after - start) / stepMs) + 1;
+    next = new Date(start.getTime() + steps * stepMs);
+  }
+
+  if (!next || (recurrence.until && next > recurrence.until)) {
+    return null;
+  }
+  return next;
+};
+
+/**
+ * Pin a monthly rule to the day of month of `anchor` unless it has a
+ * BYMONTHDAY already, so a task due on the 31st returns to the end of the
+ * month after a shorter one. Other rules are returned as they are.
+ */
+const pinMonthDay = (rule, anchor) => {
+  const recurrence = parseRecurrence(rule);
+  if (recurrence.freq !== "MONTHLY" || recurrence.byMonthDay) {
+    return rule;
+  }
+  return `${rule.replace(/;+$/, "")};BYMONTHDAY=${new Date(anchor).getUTCDate()}`;
+};
+
+module.exports = {
+  parseRecurrence,
+  getNextOccurrence,
+  pinMonthDay,
+};
@@ -0,0 +1,44 @@
+// Markers wrapped around matches by the FTS highlight()/snippet() functions
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+
+/**
+ * Turn free text into an FTS5 match expression.
+ * Every word must match (as a prefix), so "buy mil" finds "Buy milk".
+ * Returns null when the text has no searchable words.
+ */
+const buildMatchQuery = (text) => {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) {
+    return null;
+  }
+  return words.map((word) => `"${word}"*`).join(" ");
+};
+
+/**
+ * Split a highlighted FTS string into { text, match } segments,
+ * so clients can render the matches without parsing markup
+ */
+const toSegments = (highlighted) => {
+  const segments = [];
+  let match = false;
+
+  for (const part of String(highlighted || "").split(/([\u0002\u0003])/)) {
+    if (part === MATCH_START) {
+      match = true;
+    } else if (part === MATCH_END) {
+      match = false;
+    } else if (part) {
+      segments.push({ text: part, match });
+    }
+  }
+
+  return segments;
+};
+
+module.exports = {
+  MATCH_START,
+  MATCH_END,
+  buildMatchQuery,
+  toSegments,
+};
@@ -0,0 +1,166 @@
+const prisma = require("./prisma");
+const { generateToken } = require("./jwt");
+const { createOpaqueToken, hashToken } = require("./tokens");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_REFRESH_TOKEN_EXPIRES_DAYS = 30;
+
+// How long a session stays valid without being refreshed
+const refreshTokenExpiresDays =
+  Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || DEFAULT_REFRESH_TOKEN_EXPIRES_DAYS;
+
+/**
+ * Get the expiry of a session created or refreshed now
+ */
+const getSessionExpiry = () => new Date(Date.now() + refreshTokenExpiresDays * DAY_MS);
+
+/**
+ * Create a new refresh token for a session inside a transaction
+ */
+const issueRefreshToken = async (tx, sessionId) => {
+  const refreshToken = createOpaqueToken();
+
+  await tx.refreshToken.create({
+    data: { sessionId, tokenHash: hashToken(refreshToken) },
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Build the error answered when a refresh token cannot be used
+ */
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+/**
+ * Start a session for a user and return its access and refresh tokens.
+ * Expired sessions are cleaned up on the way.
+ */
+const createSession = async (userId, userAgent) => {
+  await prisma.session.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  return prisma.$transaction(async (tx) => {
+    const session = await tx.session.create({
+      data: {
+        userId,
+        userAgent: userAgent ? userAgent.slice(0, 255) : null,
+        expiresAt: getSessionExpiry(),
+      },
+    });
+
+    return {
+      token: generateToken(userId, session.id),
+      refreshToken: await issueRefreshToken(tx, session.id),
+    };
+  });
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Every refresh token works once: presenting a used one means it leaked, so
+ * the whole session is revoked. Throws a 401 error when the token is unknown,
+ * reused or its session ended.
+ */
+const refreshSession = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: true },
+  });
+
+  if (!stored) {
+    throw sessionError("Invalid refresh token");
+  }
+
+  const { session } = stored;
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw sessionError("Session expired. Please login again.");
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Only one request can mark the token as used
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: { expiresAt: getSessionExpiry() },
+    });
+
+    return {
+      token: generateToken(session.userId, session.id),
+      refreshToken: await issueRefreshToken(tx, session.id),
+    };
+  });
+
+  if (!result) {
+    await revokeSession(session.id);
+    throw sessionError("Refresh token was already used. Please login again.");
+  }
+
+  return result;
+};
+
+/**
+ * Revoke a session, its access and refresh tokens stop working right away
+ */
+const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Revoke every session of a user, e.g. once their password changed, except
+ * `exceptSessionId` when given
+ */
+const revokeUserSessions = async (userId, db = prisma, exceptSessionId = null) => {
+  await db.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Find the session of a refresh token, used or not
+ */
+const findSessionByRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    select: { sessionId: true },
+  });
+  return stored ? stored.sessionId : null;
+};
+
+/**
+ * Check whether a session can still be used
+ */
+const isSessionActive = (session, now = new Date()) =>
+  Boolean(session) && !session.revokedAt && session.expiresAt > now;
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+};
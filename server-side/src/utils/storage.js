@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Attachment storage backends.
+ *
+ * A backend is an object with:
+ * - save(key, buffer): Promise, stores the file contents under a key
+ * - read(key): readable stream of the file contents
+ * - remove(key): Promise, deletes the file (missing files are ignored)
+ *
+ * Backends are created by a factory registered under a name; the one in use is
+ * picked with the ATTACHMENT_STORAGE environment variable (defaults to "local").
+ */
+
+/**
+ * Store files in a directory on the local disk
+ */
+const createLocalStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Keys must never point outside of the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    read: (key) => fs.createReadStream(resolveKey(key)),
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+const backends = {
+  local: () =>
+    createLocalStorage({
+      directory: process.env.ATTACHMENT_DIR || path.join(__dirname, "../../uploads"),
+    }),
+};
+
+let storage = null;
+
+/**
+ * Register a storage backend factory (e.g. for S3) under a name
+ */
+const registerStorageBackend = (name, factory) => {
+  backends[name] = factory;
+  storage = null;
+};
+
+/**
+ * Get the configured storage backend
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || "local";
+    if (!backends[name]) {
+      throw new Error(`Unknown attachment storage "${name}"`);
+    }
+    storage = backends[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  registerStorageBackend,
+  getStorage,
+};
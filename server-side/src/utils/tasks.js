@@ -0,0 +1,150 @@
+const prisma = require("./prisma");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TASK_STATUSES = ["pending", "in_progress", "completed"];
+const TASK_PRIORITIES = ["low", "medium", "high", "urgent"];
+
+/**
+ * Prisma filter for tasks that are not in the trash, on their own or with
+ * their task list
+ */
+const activeTaskWhere = {
+  deletedAt: null,
+  taskList: { deletedAt: null },
+};
+
+/**
+ * Relations included whenever tasks are returned to the client
+ */
+const taskInclude = {
+  items: {
+    orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+  },
+  labels: {
+    orderBy: { name: "asc" },
+  },
+  assignees: {
+    include: {
+      user: {
+        select: { id: true, email: true },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  },
+  // Blockers in the trash no longer block
+  blockedBy: {
+    where: { blocker: activeTaskWhere },
+    select: {
+      blocker: {
+        select: { status: true },
+      },
+    },
+  },
+  _count: {
+    select: {
+      comments: true,
+      blocking: { where: { task: activeTaskWhere } },
+      attachments: true,
+    },
+  },
+};
+
+/**
+ * Check whether a task is past its due date and not yet completed
+ */
+const isTaskOverdue = (task, now = new Date()) => {
+  if (!task.dueDate || task.status === "completed") {
+    return false;
+  }
+  return new Date(task.dueDate) < now;
+};
+
+/**
+ * Add computed fields to a task before sending it to the client
+ */
+const formatTask = (task, now = new Date()) => {
+  const formatted = {
+    ...task,
+    isOverdue: isTaskOverdue(task, now),
+  };
+
+  // Only expose blocker counts, the blockers themselves can live in other lists
+  if (Array.isArray(task.blockedBy)) {
+    delete formatted.blockedBy;
+    formatted.blockers = {
+      incomplete: task.blockedBy.filter(
+        (dependency) => dependency.blocker.status !== "completed"
+      ).length,
+      total: task.blockedBy.length,
+    };
+    formatted.isBlocked = formatted.blockers.incomplete > 0;
+  }
+
+  if (Array.isArray(task.items)) {
+    formatted.checklist = {
+      completed: task.items.filter((item) => item.isCompleted).length,
+      total: task.items.length,
+    };
+  }
+
+  return formatted;
+};
+
+/**
+ * Make sure a start date does not come after a due date
+ */
+const isValidDateRange = (startDate, dueDate) => {
+  if (!startDate || !dueDate) {
+    return true;
+  }
+  return new Date(startDate) <= new Date(dueDate);
+};
+
+/**
+ * Find a task, making sure it belongs to the given task list and is not in
+ * the trash
+ */
+const findTaskInList = async (taskListId, taskId) => {
+  const task = await prisma.task.findUnique({
+    where: { id: taskId },
+  });
+
+  if (!task || task.taskListId !== taskListId || task.deletedAt) {
+    return null;
+  }
+  return task;
+};
+
+/**
+ * Get the start of the current UTC day, what "today" means in date filters
+ */
+const startOfUtcDay = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+/**
+ * Resolve a relative date filter "<N>d" / "<N>w" meaning N days / weeks ago,
+ * returns null when the value is not relative
+ */
+const resolveRelativeDate = (value, now = new Date()) => {
+  const relative = /^(\d{1,4})([dw])$/.exec(value);
+  if (!relative) {
+    return null;
+  }
+  const days = Number(relative[1]) * (relative[2] === "w" ? 7 : 1);
+  return new Date(now.getTime() - days * DAY_MS);
+};
+
+module.exports = {
+  DAY_MS,
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  activeTaskWhere,
+  taskInclude,
+  isTaskOverdue,
+  formatTask,
+  isValidDateRange,
+  findTaskInList,
+  startOfUtcDay,
+  resolveRelativeDate,
+};
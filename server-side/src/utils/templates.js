@@ -0,0 +1,205 @@
+const prisma = require("./prisma");
+
+/**
+ * Template content is stored as JSON:
+ * {
+ *   labels: [{ name, color }],
+ *   tasks: [{ title, description, priority, recurrence, labels: [name], items: [title] }]
+ * }
+ * Tasks are kept in list order. Statuses, dates, assignees and everything
+ * tied to people (comments, attachments) are left out so a template can be
+ * reused by anyone it is shared with.
+ */
+
+/**
+ * Build the template content of a task list
+ */
+const snapshotTaskList = async (taskListId, db = prisma) => {
+  const [labels, tasks] = await Promise.all([
+    db.label.findMany({
+      where: { taskListId },
+      orderBy: { name: "asc" },
+    }),
+    db.task.findMany({
+      where: { taskListId, deletedAt: null },
+      include: {
+        labels: { select: { name: true } },
+        items: { orderBy: { position: "asc" } },
+      },
+      orderBy: [{ position: "asc" }, { createdAt: "desc" }],
+    }),
+  ]);
+
+  return {
+    labels: labels.map((label) => ({ name: label.name, color: label.color })),
+    tasks: tasks.map((task) => ({
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      recurrence: task.recurrence,
+      labels: task.labels.map((label) => label.name),
+      items: task.items.map((item) => item.title),
+    })),
+  };
+};
+
+/**
+ * Create the labels and pending tasks of a template in a task list
+ */
+const applyTemplate = async (tx, taskListId, content) => {
+  const labelIds = {};
+  for (const label of content.labels) {
+    const created = await tx.label.create({
+      data: { name: label.name, color: label.color, taskListId },
+    });
+    labelIds[label.name] = created.id;
+  }
+
+  for (const [position, task] of content.tasks.entries()) {
+    await tx.task.create({
+      data: {
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        recurrence: task.recurrence,
+        position,
+        taskListId,
+        labels: {
+          connect: task.labels.filter((name) => labelIds[name]).map((name) => ({ id: labelIds[name] })),
+        },
+        items: {
+          create: task.items.map((title, index) => ({ title, position: index })),
+        },
+      },
+    });
+  }
+};
+
+/**
+ * Copy a task list with its labels, tasks, checklist items, assignees and
+ * the dependencies between its own tasks. Blockers in other lists, comments,
+ * attachments and activity are not copied. With `resetStatuses` every task
+ * and checklist item starts over as pending; with `copyShares` the new list
+ * is shared with the same users and permissions.
+ */
+const duplicateTaskList = async (tx, source, { ownerId, title, resetStatuses, copyShares }) => {
+  const shares = copyShares ? source.shares.filter((share) => share.userId !== ownerId) : [];
+  const memberIds = [ownerId, ...shares.map((share) => share.userId)];
+
+  const taskList = await tx.taskList.create({
+    data: {
+      title,
+      ownerId,
+      shares: {
+        create: shares.map((share) => ({ userId: share.userId, permission: share.permission })),
+      },
+    },
+  });
+
+  const labelIds = {};
+  for (const label of source.labels) {
+    const created = await tx.label.create({
+      data: { name: label.name, color: label.color, taskListId: taskList.id },
+    });
+    labelIds[label.id] = created.id;
+  }
+
+  const taskIds = {};
+  for (const task of source.tasks) {
+    const created = await tx.task.create({
+      data: {
+        title: task.title,
+        description: task.description,
+        status: resetStatuses ? "pending" : task.status,
+        priority: task.priority,
+        position: task.position,
+        startDate: task.startDate,
+        dueDate: task.dueDate,
+        recurrence: task.recurrence,
+        taskListId: taskList.id,
+        labels: {
+          connect: task.labels.map((label) => ({ id: labelIds[label.id] })),
+        },
+        assignees: {
+          create: task.assignees
+            .filter((assignee) => memberIds.includes(assignee.userId))
+            .map((assignee) => ({ userId: assignee.userId })),
+        },
+        items: {
+          create: task.items.map((item) => ({
+            title: item.title,
+            isCompleted: resetStatuses ? false : item.isCompleted,
+            position: item.position,
+          })),
+        },
+      },
+    });
+    taskIds[task.id] = created.id;
+  }
+
+  for (const task of source.tasks) {
+    for (const dependency of task.blockedBy.filter((blocker) => taskIds[blocker.blockerId])) {
+      await tx.taskDependency.create({
+        data: { taskId: taskIds[task.id], blockerId: taskIds[dependency.blockerId] },
+      });
+    }
+  }
+
+  return taskList;
+};
+
+/**
+ * Include needed to duplicate a task list with duplicateTaskList
+ */
+const duplicateInclude = {
+  shares: true,
+  labels: true,
+  tasks: {
+    where: { deletedAt: null },
+    include: {
+      labels: { select: { id: true } },
+      assignees: { select: { userId: true } },
+      items: true,
+      blockedBy: { select: { blockerId: true } },
+    },
+  },
+};
+
+/**
+ * Prisma filter for every template a user owns or has been shared
+ */
+const accessibleTemplatesWhere = (userId) => ({
+  OR: [{ ownerId: userId }, { shares: { some: { userId } } }],
+});
+
+/**
+ * Format a template for the API, sharing details are only shown to the owner
+ */
+const formatTemplate = (template, userId) => {
+  const content = JSON.parse(template.content);
+  const isOwner = template.ownerId === userId;
+
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    owner: template.owner,
+    isOwner,
+    taskCount: content.tasks.length,
+    content,
+    ...(isOwner && {
+      sharedWith: template.shares.map((share) => share.user),
+    }),
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+};
+
+module.exports = {
+  snapshotTaskList,
+  applyTemplate,
+  duplicateTaskList,
+  duplicateInclude,
+  accessibleTemplatesWhere,
+  formatTemplate,
+};
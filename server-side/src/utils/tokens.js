@@ -0,0 +1,17 @@
+const crypto = require("crypto");
+
+/**
+ * Generate a random, URL-safe token to hand out once (refresh tokens, links
+ * sent by email). Only its hash is stored.
+ */
+const createOpaqueToken = () => crypto.randomBytes(48).toString("base64url");
+
+/**
+ * Hash an opaque token for storage and lookups
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+module.exports = {
+  createOpaqueToken,
+  hashToken,
+};
@@ -0,0 +1,107 @@
+const prisma = require("./prisma");
+const { collectAttachmentKeys, deleteAttachmentFiles } = require("./attachments");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+
+// How long deleted lists and tasks stay restorable
+const retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+const purgeIntervalMinutes =
+  Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || DEFAULT_PURGE_INTERVAL_MINUTES;
+
+/**
+ * Get the date an item deleted at `deletedAt` will be purged
+ */
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+/**
+ * Permanently delete task lists and tasks, then their attachment files.
+ * Given a transaction `tx`, the rows are deleted inside it and the files are
+ * left in place: their storage keys are returned so the caller can delete
+ * them with deleteAttachmentFiles once the transaction committed.
+ */
+const purgeTrash = async ({ taskListIds = [], taskIds = [] }, tx = null) => {
+  const deleteRows = async (db) => {
+    const attachmentKeys = await collectAttachmentKeys(
+      {
+        OR: [{ taskId: { in: taskIds } }, { task: { taskListId: { in: taskListIds } } }],
+      },
+      db
+    );
+
+    await db.task.deleteMany({ where: { id: { in: taskIds } } });
+    await db.taskList.deleteMany({ where: { id: { in: taskListIds } } });
+
+    return attachmentKeys;
+  };
+
+  if (tx) {
+    return deleteRows(tx);
+  }
+
+  const attachmentKeys = await prisma.$transaction(deleteRows);
+
+  // Attachment files are not covered by the cascade
+  await deleteAttachmentFiles(attachmentKeys);
+  return attachmentKeys;
+};
+
+/**
+ * Permanently delete everything that stayed in the trash longer than the
+ * retention period. Returns the number of purged lists and tasks.
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  const [taskLists, tasks] = await Promise.all([
+    prisma.taskList.findMany({
+      where: { deletedAt: { lt: cutoff } },
+      select: { id: true },
+    }),
+    prisma.task.findMany({
+      where: { deletedAt: { lt: cutoff } },
+      select: { id: true },
+    }),
+  ]);
+
+  if (taskLists.length > 0 || tasks.length > 0) {
+    await purgeTrash({
+      taskListIds: taskLists.map((taskList) => taskList.id),
+      taskIds: tasks.map((task) => task.id),
+    });
+  }
+
+  return { taskLists: taskLists.length, tasks: tasks.length };
+};
+
+/**
+ * Purge expired trash now and then every TRASH_PURGE_INTERVAL_MINUTES.
+ * Failures are logged and retried on the next run.
+ */
+const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged.taskLists > 0 || purged.tasks > 0) {
+        console.log(`🗑️ Purged ${purged.taskLists} task lists and ${purged.tasks} tasks from the trash`);
+      }
+    } catch (error) {
+      console.error("Trash purge error:", error);
+    }
+  };
+
+  run();
+  // Do not keep the process alive just for the purge
+  return setInterval(run, purgeIntervalMinutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  retentionDays,
+  getPurgeDate,
+  purgeTrash,
+  purgeExpiredTrash,
+  startTrashPurgeJob,
+};
@@ -0,0 +1,224 @@
+const prisma = require("./prisma");
+const { taskInclude } = require("./tasks");
+const { getBlockersForStatusChange } = require("./dependencies");
+const { purgeTrash } = require("./trash");
+
+const DEFAULT_UNDO_WINDOW_SECONDS = 30;
+
+// How long a change can be undone after it was made
+const undoWindowSeconds = Number(process.env.UNDO_WINDOW_SECONDS) || DEFAULT_UNDO_WINDOW_SECONDS;
+
+// Task fields an undo puts back, besides the labels, assignees and position
+const TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "startDate",
+  "dueDate",
+  "recurrence",
+  "taskListId",
+  "deletedAt",
+];
+
+const COMPARED_FIELDS = [...TASK_FIELDS, "labelIds", "assigneeIds"];
+
+/**
+ * Capture the state of a task that an undo can put back. The task must be
+ * loaded with its labels and assignees.
+ */
+const snapshotTask = (task) => {
+  const snapshot = { id: task.id, position: task.position };
+
+  for (const field of TASK_FIELDS) {
+    const value = task[field];
+    snapshot[field] = value instanceof Date ? value.toISOString() : value ?? null;
+  }
+
+  snapshot.labelIds = task.labels.map((label) => label.id).sort();
+  snapshot.assigneeIds = task.assignees.map((assignee) => assignee.userId).sort();
+
+  return snapshot;
+};
+
+/**
+ * Capture the state of a task created by a change, which also covers its
+ * checklist. The task must be loaded with taskInclude.
+ */
+const snapshotCreatedTask = (task) => ({
+  ...snapshotTask(task),
+  items: task.items
+    .map(({ id, title, isCompleted }) => ({ id, title, isCompleted }))
+    .sort((a, b) => a.id.localeCompare(b.id)),
+});
+
+/**
+ * Check whether a task is still in the state a change left it in. The
+ * position is ignored since reordering other tasks shifts it.
+ */
+const isUnchangedSince = (task, snapshot) => {
+  const current = snapshotTask(task);
+  return COMPARED_FIELDS.every(
+    (field) => JSON.stringify(current[field]) === JSON.stringify(snapshot[field])
+  );
+};
+
+/**
+ * Build the error answered when a change can no longer be undone
+ */
+const undoConflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+/**
+ * Store what is needed to undo a change and return the token the client
+ * sends back to undo it. `changes` holds { tasks: [{ before, after }],
+ * createdTasks } for task changes, with snapshotCreatedTask snapshots of the
+ * tasks the change created, or { taskList: { before, after } } for task list
+ * changes. Expired tokens are cleaned up on the way.
+ */
+const createUndoToken = async ({ userId, taskListId, action, changes }) => {
+  const now = new Date();
+
+  await prisma.undoAction.deleteMany({
+    where: { expiresAt: { lt: now } },
+  });
+
+  const undoAction = await prisma.undoAction.create({
+    data: {
+      userId,
+      taskListId,
+      action,
+      changes: JSON.stringify(changes),
+      expiresAt: new Date(now.getTime() + undoWindowSeconds * 1000),
+    },
+  });
+
+  return { token: undoAction.id, expiresAt: undoAction.expiresAt };
+};
+
+/**
+ * Check whether a task created by a change can be deleted by its undo: it
+ * must be unchanged and have no comments, attachments or dependencies
+ */
+const isUntouchedSinceCreated = async (tx, task, snapshot) => {
+  const dependencies = await tx.taskDependency.count({
+    where: { OR: [{ taskId: task.id }, { blockerId: task.id }] },
+  });
+
+  return (
+    isUnchangedSince(task, snapshot) &&
+    JSON.stringify(snapshotCreatedTask(task).items) === JSON.stringify(snapshot.items) &&
+    task._count.comments === 0 &&
+    task._count.attachments === 0 &&
+    dependencies === 0
+  );
+};
+
+/**
+ * Put tasks back in the state they had before a change, inside a
+ * transaction. Tasks created by the change (next occurrences of recurring
+ * tasks) are permanently deleted. Labels and assignees that no longer belong
+ * to the list are skipped. Throws a 409 error when a task was changed since
+ * or its blockers do not allow its old status anymore.
+ * Returns the current and the restored version of every task, the deleted
+ * tasks and the storage keys of their attachment files, to be deleted once
+ * the transaction committed.
+ */
+const revertTasks = async (tx, { tasks = [], createdTasks = [] }) => {
+  const reverted = [];
+
+  const deletedTasks = [];
+  for (const snapshot of createdTasks) {
+    const task = await tx.task.findUnique({
+      where: { id: snapshot.id },
+      include: taskInclude,
+    });
+
+    if (!task) {
+      continue;
+    }
+
+    if (!(await isUntouchedSinceCreated(tx, task, snapshot))) {
+      throw undoConflict(`"${task.title}" was changed since, the change cannot be undone`);
+    }
+
+    deletedTasks.push(task);
+  }
+
+  // Latest changes first, so a task changed twice goes back step by step
+  for (const { before, after } of [...tasks].reverse()) {
+    const current = await tx.task.findUnique({
+      where: { id: before.id },
+      include: taskInclude,
+    });
+
+    if (!current || !isUnchangedSince(current, after)) {
+      throw undoConflict(`"${before.title}" was changed since, the change cannot be undone`);
+    }
+
+    const blockers = await getBlockersForStatusChange(current, before.status, tx);
+    if (blockers.length > 0) {
+      throw undoConflict(
+        `"${before.title}" cannot go back to ${before.status.replace("_", " ")} until its blockers are completed`
+      );
+    }
+
+    const taskList = await tx.taskList.findUnique({
+      where: { id: before.taskListId },
+      select: {
+        ownerId: true,
+        shares: { select: { userId: true } },
+        labels: { select: { id: true } },
+      },
+    });
+    const memberIds = [taskList.ownerId, ...taskList.shares.map((share) => share.userId)];
+    const labelIds = taskList.labels.map((label) => label.id);
+
+    const restored = await tx.task.update({
+      where: { id: before.id },
+      data: {
+        title: before.title,
+        description: before.description,
+        status: before.status,
+        priority: before.priority,
+        startDate: before.startDate ? new Date(before.startDate) : null,
+        dueDate: before.dueDate ? new Date(before.dueDate) : null,
+        recurrence: before.recurrence,
+        deletedAt: before.deletedAt ? new Date(before.deletedAt) : null,
+        // Moved tasks go back to their old slot, the others keep theirs
+        ...(current.taskListId !== before.taskListId && {
+          taskListId: before.taskListId,
+          position: before.position,
+        }),
+        labels: {
+          set: before.labelIds.filter((id) => labelIds.includes(id)).map((id) => ({ id })),
+        },
+        assignees: {
+          deleteMany: {},
+          create: before.assigneeIds
+            .filter((userId) => memberIds.includes(userId))
+            .map((userId) => ({ userId })),
+        },
+      },
+      include: taskInclude,
+    });
+
+    reverted.push({ current, restored });
+  }
+
+  const attachmentKeys = await purgeTrash({ taskIds: deletedTasks.map((task) => task.id) }, tx);
+
+  return { reverted, createdTasks: deletedTasks, attachmentKeys };
+};
+
+module.exports = {
+  undoWindowSeconds,
+  snapshotTask,
+  snapshotCreatedTask,
+  createUndoToken,
+  revertTasks,
+  undoConflict,
+};
@@ -0,0 +1,181 @@
+const prisma = require("./prisma");
+const { createOpaqueToken, hashToken } = require("./tokens");
+const { sendMail, getAppUrl } = require("./mail");
+
+const VERIFICATION_POLICIES = ["none", "share", "login"];
+
+// What unverified users cannot do: "none", "share" (be the target of a share,
+// the default) or "login" (sign in, which includes being shared with)
+const verificationPolicy = VERIFICATION_POLICIES.includes(process.env.EMAIL_VERIFICATION_POLICY)
+  ? process.env.EMAIL_VERIFICATION_POLICY
+  : "share";
+
+const verificationExpiresHours = Number(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+// Minimum time between two verification emails to the same user
+const resendIntervalSeconds = Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+/**
+ * Check whether unverified users are kept from signing in
+ */
+const isVerificationRequiredToLogin = () => verificationPolicy === "login";
+
+/**
+ * Check whether lists and templates can be shared with a user
+ */
+const canReceiveShares = (user) => verificationPolicy === "none" || Boolean(user.emailVerifiedAt);
+
+/**
+ * Email a new verification link to a user, the previous link of the same kind
+ * stops working. With `newEmail` the link goes to that address and changes the
+ * email of the user to it once opened.
+ */
+const sendVerificationEmail = async (user, newEmail = null) => {
+  const token = createOpaqueToken();
+
+  await prisma.$transaction([
+    // A sign-up link and an email change link can be pending side by side
+    prisma.emailVerificationToken.deleteMany({
+      where: { userId: user.id, email: newEmail ? { not: null } : null },
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        email: newEmail,
+        expiresAt: new Date(Date.now() + verificationExpiresHours * 60 * 60 * 1000),
+      },
+    }),
+  ]);
+
+  const link = getAppUrl({ verifyToken: token });
+
+  if (newEmail) {
+    await sendMail({
+      to: newEmail,
+      subject: "Confirm your new email address",
+      text: [
+        `Open this link within ${verificationExpiresHours} hours to use this address for your Task Manager account:`,
+        link,
+        "",
+        "If you did not ask for this change, you can ignore this email.",
+      ].join("\n"),
+    });
+    return;
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      "Welcome to Task Manager!",
+      "",
+      `Open this link within ${verificationExpiresHours} hours to verify your email address:`,
+      link,
+      "",
+      "If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+/**
+ * Get the address a user asked to change their email to and has not
+ * confirmed yet, or null
+ */
+const getPendingEmail = async (userId) => {
+  const pending = await prisma.emailVerificationToken.findFirst({
+    where: { userId, email: { not: null }, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: "desc" },
+  });
+  return pending ? pending.email : null;
+};
+
+/**
+ * Get the number of seconds a user has to wait before another verification
+ * email can be sent (0 when one can be sent now)
+ */
+const getResendWaitSeconds = async (userId, now = new Date()) => {
+  const latest = await prisma.emailVerificationToken.findFirst({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (!latest) {
+    return 0;
+  }
+
+  const waitMs = latest.createdAt.getTime() + resendIntervalSeconds * 1000 - now.getTime();
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+/**
+ * Build the error for an email change to an address another account has
+ */
+const emailTakenError = () => {
+  const error = new Error("This email address is already used by another account");
+  error.status = 409;
+  return error;
+};
+
+/**
+ * Mark the email of the user a verification token belongs to as verified,
+ * switching to the new address first for email changes. Returns the user, or
+ * null when the token is unknown or expired. Throws a 409 error when the new
+ * address was registered in the meantime.
+ */
+const verifyEmailToken = async (token) => {
+  const verification = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!verification || verification.expiresAt < new Date()) {
+    return null;
+  }
+
+  if (verification.email) {
+    const existingUser = await prisma.user.findUnique({
+      where: { email: verification.email },
+    });
+
+    if (existingUser) {
+      throw emailTakenError();
+    }
+  }
+
+  // The address can still be registered between the check and the update
+  try {
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: verification.userId },
+        data: {
+          emailVerifiedAt: new Date(),
+          ...(verification.email && { email: verification.email }),
+        },
+        select: { id: true, email: true, name: true, emailVerifiedAt: true, createdAt: true },
+      }),
+      prisma.emailVerificationToken.deleteMany({
+        where: {
+          userId: verification.userId,
+          email: verification.email ? { not: null } : null,
+        },
+      }),
+    ]);
+
+    return user;
+  } catch (error) {
+    if (error.code === "P2002") {
+      throw emailTakenError();
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  verificationPolicy,
+  isVerificationRequiredToLogin,
+  canReceiveShares,
+  sendVerificationEmail,
+  getPendingEmail,
+  getResendWaitSeconds,
+  verifyEmailToken,
+};
@@ -0,0 +1,140 @@
+const { accessibleTaskListsWhere } = require("./permissions");
+const { TASK_STATUSES, startOfUtcDay, resolveRelativeDate } = require("./tasks");
+
+const DATE_FILTERS = ["createdAfter", "createdBefore", "updatedAfter", "updatedBefore"];
+
+/**
+ * Resolve a view date filter to a Date.
+ * Accepts an ISO 8601 date, "today" (start of the current UTC day) or a
+ * relative "<N>d" / "<N>w" meaning N days / weeks ago. Returns null when invalid.
+ */
+const resolveDateFilter = (value, now = new Date()) => {
+  if (value === "today") {
+    return startOfUtcDay(now);
+  }
+
+  const relativeDate = resolveRelativeDate(value, now);
+  if (relativeDate) {
+    return relativeDate;
+  }
+
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Validate a saved view filter definition and strip unknown keys:
+ * { status: [], taskListIds: [], q, assignee: "me", createdAfter, createdBefore,
+ *   updatedAfter, updatedBefore }. Every key is optional.
+ * Throws an Error with a readable message when the definition is invalid.
+ */
+const normalizeViewFilters = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("Filters must be an object");
+  }
+
+  const filters = {};
+
+  if (input.status !== undefined) {
+    if (!Array.isArray(input.status) || !input.status.every((status) => TASK_STATUSES.includes(status))) {
+      throw new Error(`Status filter must be a list of: ${TASK_STATUSES.join(", ")}`);
+    }
+    if (input.status.length > 0) {
+      filters.status = [...new Set(input.status)];
+    }
+  }
+
+  if (input.taskListIds !== undefined) {
+    if (!Array.isArray(input.taskListIds) || !input.taskListIds.every((id) => typeof id === "string")) {
+      throw new Error("Task list filter must be a list of task list IDs");
+    }
+    if (input.taskListIds.length > 0) {
+      filters.taskListIds = [...new Set(input.taskListIds)];
+    }
+  }
+
+  if (input.q !== undefined && input.q !== null) {
+    if (typeof input.q !== "string" || input.q.length > 200) {
+      throw new Error("Search text must be a string of less than 200 characters");
+    }
+    if (input.q.trim()) {
+      filters.q = input.q.trim();
+    }
+  }
+
+  if (input.assignee !== undefined && input.assignee !== null) {
+    if (input.assignee !== "me") {
+      throw new Error('Assignee filter must be "me"');
+    }
+    filters.assignee = "me";
+  }
+
+  for (const key of DATE_FILTERS) {
+    if (input[key] === undefined || input[key] === null || input[key] === "") continue;
+    if (typeof input[key] !== "string" || !resolveDateFilter(input[key])) {
+      throw new Error(`${key} must be an ISO 8601 date, "today" or a relative value like "7d"`);
+    }
+    filters[key] = input[key];
+  }
+
+  return filters;
+};
+
+/**
+ * Build the Prisma `where` clause of a saved view for a user.
+ * Only tasks of lists the user can still access are matched, even when the
+ * view names lists that were unshared since it was saved.
+ */
+const buildViewWhere = (filters, userId, now = new Date()) => {
+  const conditions = [{ deletedAt: null, taskList: accessibleTaskListsWhere(userId) }];
+
+  if (filters.taskListIds) {
+    conditions.push({ taskListId: { in: filters.taskListIds } });
+  }
+
+  if (filters.status) {
+    conditions.push({ status: { in: filters.status } });
+  }
+
+  if (filters.q) {
+    conditions.push({
+      OR: [{ title: { contains: filters.q } }, { description: { contains: filters.q } }],
+    });
+  }
+
+  if (filters.assignee === "me") {
+    conditions.push({ assignees: { some: { userId } } });
+  }
+
+  for (const field of ["createdAt", "updatedAt"]) {
+    const prefix = field.replace("At", "");
+    const after = filters[`${prefix}After`];
+    const before = filters[`${prefix}Before`];
+
+    if (after || before) {
+      conditions.push({
+        [field]: {
+          ...(after && { gte: resolveDateFilter(after, now) }),
+          ...(before && { lte: resolveDateFilter(before, now) }),
+        },
+      });
+    }
+  }
+
+  return { AND: conditions };
+};
+
+/**
+ * Parse the stored filters of a view before sending it to the client
+ */
+const formatView = (view) => ({
+  ...view,
+  filters: JSON.parse(view.filters),
+});
+
+module.exports = {
+  resolveDateFilter,
+  normalizeViewFilters,
+  buildViewWhere,
+  formatView,
+};